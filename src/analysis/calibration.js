@@ -0,0 +1,161 @@
+'use strict';
+
+/* ---------------------------------------------------------
+   Online confidence calibration for the ensemble vote.
+
+   Maps the raw top-class score from WeightedVoter.vote() to
+   P(vote is correct), fitted incrementally on feedback labels.
+     'platt'    : σ(a·logit(s) + b), one SGD step per label
+     'isotonic' : monotone fit over fixed score bins, refitted
+                  by pool-adjacent-violators when read
+   Until minSamples labels have been seen the raw score is
+   passed through unchanged.
+--------------------------------------------------------- */
+
+// Configuration
+const METHODS       = ['platt', 'isotonic'];
+const LEARNING_RATE = 0.05;
+const N_BINS        = 20;
+const MIN_SAMPLES   = 30;
+const EPS           = 1e-6;
+
+const clamp01 = p => Math.min(1 - EPS, Math.max(EPS, p));
+const logit = p => { const q = clamp01(p); return Math.log(q / (1 - q)); };
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+export default class ConfidenceCalibrator {
+  /**
+   * @param {object} [opts]
+   * @param {'platt'|'isotonic'} [opts.method='platt']
+   * @param {number} [opts.learningRate=0.05] Platt SGD step
+   * @param {number} [opts.nBins=20]          isotonic score bins on [0, 1]
+   * @param {number} [opts.minSamples=30]     labels before isReady()
+   */
+  constructor(opts = {}) {
+    this.method = opts.method ?? 'platt';
+    if (!METHODS.includes(this.method)) {
+      throw new Error(`calibration method must be one of ${METHODS.join(', ')}`);
+    }
+    this.learningRate = opts.learningRate ?? LEARNING_RATE;
+    this.nBins = opts.nBins ?? N_BINS;
+    this.minSamples = opts.minSamples ?? MIN_SAMPLES;
+
+    // Platt starts at the identity map σ(logit(s)) = s
+    this.a = 1;
+    this.b = 0;
+
+    // Isotonic: labelled outcomes per score bin
+    this.binHits = new Float64Array(this.nBins);
+    this.binCounts = new Float64Array(this.nBins);
+    this._fit = null;   // cached [{ x, y }] from PAV, null when stale
+
+    this.samples = 0;
+  }
+
+  /** Enough labels for the calibrated output to replace the raw score */
+  isReady() {
+    return this.samples >= this.minSamples;
+  }
+
+  /**
+   * Calibrated probability that the vote is correct.
+   * @param {number} score raw confidence in [0, 1]
+   * @returns {number}
+   */
+  calibrate(score) {
+    const s = Number.isFinite(score) ? Math.min(1, Math.max(0, score)) : 0;
+    if (!this.isReady()) return s;
+    return this.method === 'platt'
+      ? sigmoid(this.a * logit(s) + this.b)
+      : this._isotonic(s);
+  }
+
+  /**
+   * Absorb one labelled vote.
+   * @param {number} score   raw confidence the vote was cast with
+   * @param {boolean} correct whether the vote matched the label
+   */
+  update(score, correct) {
+    if (!Number.isFinite(score)) return;
+    const y = correct ? 1 : 0;
+    if (this.method === 'platt') {
+      const z = logit(score);
+      const g = sigmoid(this.a * z + this.b) - y;   // d(log-loss)/d(logit)
+      this.a -= this.learningRate * g * z;
+      this.b -= this.learningRate * g;
+    } else {
+      const i = this._bin(score);
+      this.binHits[i] += y;
+      this.binCounts[i] += 1;
+      this._fit = null;
+    }
+    this.samples++;
+  }
+
+  _bin(score) {
+    return Math.min(this.nBins - 1, Math.max(0, Math.floor(score * this.nBins)));
+  }
+
+  /** Pool-adjacent-violators over the non-empty bins, weighted by count */
+  _fitIsotonic() {
+    const blocks = [];
+    for (let i = 0; i < this.nBins; i++) {
+      const n = this.binCounts[i];
+      if (n === 0) continue;
+      blocks.push({ x: [(i + 0.5) / this.nBins], sum: this.binHits[i], n });
+      while (blocks.length > 1) {
+        const b = blocks[blocks.length - 1];
+        const a = blocks[blocks.length - 2];
+        if (a.sum / a.n <= b.sum / b.n) break;
+        blocks.splice(-2, 2, { x: [...a.x, ...b.x], sum: a.sum + b.sum, n: a.n + b.n });
+      }
+    }
+    const fit = [];
+    for (const b of blocks) {
+      for (const x of b.x) fit.push({ x, y: b.sum / b.n });
+    }
+    return fit;
+  }
+
+  /** Linear interpolation between fitted bin centres, flat past the ends */
+  _isotonic(s) {
+    if (!this._fit) this._fit = this._fitIsotonic();
+    const fit = this._fit;
+    if (fit.length === 0) return s;
+    if (s <= fit[0].x) return fit[0].y;
+    for (let i = 1; i < fit.length; i++) {
+      if (s <= fit[i].x) {
+        const l = fit[i - 1];
+        const r = fit[i];
+        return l.y + ((r.y - l.y) * (s - l.x)) / (r.x - l.x);
+      }
+    }
+    return fit[fit.length - 1].y;
+  }
+
+  toJSON() {
+    return {
+      method: this.method,
+      learningRate: this.learningRate,
+      nBins: this.nBins,
+      minSamples: this.minSamples,
+      a: this.a,
+      b: this.b,
+      binHits: Array.from(this.binHits),
+      binCounts: Array.from(this.binCounts),
+      samples: this.samples
+    };
+  }
+
+  static fromJSON(data) {
+    const cal = new ConfidenceCalibrator(data);
+    cal.a = data.a ?? 1;
+    cal.b = data.b ?? 0;
+    if (data.binCounts?.length === cal.nBins) {
+      cal.binHits = Float64Array.from(data.binHits);
+      cal.binCounts = Float64Array.from(data.binCounts);
+    }
+    cal.samples = data.samples ?? 0;
+    return cal;
+  }
+}
@@ -0,0 +1,244 @@
+'use strict';
+
+/* ---------------------------------------------------------
+   Unsupervised drift monitoring on the model inputs.
+
+   Labels are rare, so the tree's error stream says little
+   about change. This watches the FeatureEngineer vectors
+   themselves, one report at a time, with two tests:
+     'adwin'  one ADWIN per feature on the z-scored value,
+              clipped to ±clip and mapped to [0, 1] (ADWIN's
+              bound assumes a bounded range)
+     'ks'     every testEvery reports, a two-sample KS test
+              per feature between the short window and the
+              older part of the long one, on unscaled values
+              (the test is rank-based, and the scalers move
+              between the two samples), Bonferroni-corrected
+              over the features; a feature must also move by
+              at least minStatistic, since consecutive reports
+              are correlated and small shifts test significant
+   Features that trend within a session by construction
+   (cumulative ratios and counts) can be left out with
+   opts.features.
+   Each detection becomes a signal { ts, source, tabId,
+   features } that callers take with takeSignals(), e.g. to
+   ask the user for a label while the inputs are changing.
+--------------------------------------------------------- */
+
+import ADWIN from '../models/adwin.js';
+import driftDetectors from '../models/drift-detectors.js';
+
+const { ksTwoSample } = driftDetectors;
+
+// Configuration
+const DELTA       = 0.002;
+const CLIP        = 3;      // z-scores beyond ±CLIP are clipped before ADWIN
+const TEST_EVERY  = 20;     // reports between KS tests (10 min at 30 s)
+const ALPHA       = 0.01;   // family-wise KS significance
+const MIN_SAMPLES = 30;     // per KS sample
+const MIN_STATISTIC = 0.3;  // smallest KS distance reported
+const MAX_PENDING = 50;     // untaken signals kept
+
+export default class CovariateDriftMonitor {
+  /**
+   * @param {object} opts
+   * @param {number} opts.nFeatures
+   * @param {string[]} [opts.featureNames]
+   * @param {number[]} [opts.features]      indices to monitor (default all)
+   * @param {number} [opts.delta=0.002]     per-feature ADWIN confidence
+   * @param {number} [opts.clip=3]
+   * @param {number} [opts.testEvery=20]    reports between KS tests
+   * @param {number} [opts.alpha=0.01]      KS significance over all features
+   * @param {number} [opts.minSamples=30]   smallest KS sample on either side
+   * @param {number} [opts.minStatistic=0.3] smallest KS distance reported
+   * @param {function():number} [opts.now=Date.now]
+   */
+  constructor(opts = {}) {
+    if (!Number.isInteger(opts.nFeatures) || opts.nFeatures <= 0) {
+      throw new Error('nFeatures must be a positive integer');
+    }
+    this.nFeatures = opts.nFeatures;
+    this.featureNames = opts.featureNames ?? [];
+    this.features = opts.features ?? Array.from({ length: this.nFeatures }, (_, j) => j);
+    this.delta = opts.delta ?? DELTA;
+    this.clip = opts.clip ?? CLIP;
+    this.testEvery = opts.testEvery ?? TEST_EVERY;
+    this.alpha = opts.alpha ?? ALPHA;
+    this.minSamples = opts.minSamples ?? MIN_SAMPLES;
+    this.minStatistic = opts.minStatistic ?? MIN_STATISTIC;
+    this.now = opts.now ?? Date.now;
+
+    this.detectors = Array.from({ length: this.nFeatures }, () => this._newDetector());
+    // ADWIN shrinks over several reports for one change; a feature stays
+    // quiet for testEvery reports after it signalled
+    this.quietUntil = new Array(this.nFeatures).fill(0);
+    this.seen = 0;
+    this.sinceTest = 0;
+    this.signalCount = 0;
+    this.lastSignal = null;
+    this.lastTest = null;
+    this.pending = [];
+  }
+
+  _newDetector() {
+    return new ADWIN({ delta: this.delta, logger: () => {}, now: this.now });
+  }
+
+  _name(j) {
+    return this.featureNames[j] ?? `f${j}`;
+  }
+
+  /** z-score → [0, 1] and back */
+  _toUnit(z) {
+    const c = Math.min(this.clip, Math.max(-this.clip, z));
+    return (c + this.clip) / (2 * this.clip);
+  }
+
+  _fromUnit(u) {
+    return u == null ? null : u * 2 * this.clip - this.clip;
+  }
+
+  /**
+   * Absorb one feature vector and run the tests that are due.
+   * @param {number[]} feat scaled feature vector
+   * @param {CircularBuffer} winShort recent unscaled vectors
+   * @param {CircularBuffer} winLong  longer unscaled history, ending with winShort's
+   * @param {{tabId?:string|number}} [context] carried into the signals
+   * @returns {object[]} signals raised by this vector
+   */
+  observe(feat, winShort, winLong, context = {}) {
+    this.seen++;
+    const signals = [];
+
+    const drifted = [];
+    for (const j of this.features) {
+      const v = feat[j];
+      if (v == null || !Number.isFinite(v)) continue;
+      const d = this.detectors[j];
+      d.update(this._toUnit(v));
+      if (!d.drift || this.seen < this.quietUntil[j]) continue;
+      this.quietUntil[j] = this.seen + this.testEvery;
+      drifted.push({
+        index: j,
+        name: this._name(j),
+        before: this._fromUnit(d.lastCut.before.mean),
+        after: this._fromUnit(d.lastCut.after.mean),
+        width: d.width
+      });
+    }
+    if (drifted.length) signals.push(this._signal('adwin', drifted, context));
+
+    if (++this.sinceTest >= this.testEvery) {
+      this.sinceTest = 0;
+      const test = this.test(winShort.toArray(), winLong.toArray());
+      if (test?.drifted.length) signals.push(this._signal('ks', test.drifted, context));
+    }
+    return signals;
+  }
+
+  /**
+   * KS test per feature between the recent vectors and the part of the
+   * long window before them.
+   * @param {number[][]} recent
+   * @param {number[][]} long  ends with the same vectors as `recent`
+   * @returns {{ts:number, reference:number, recent:number, drifted:object[]}|null}
+   *          null while either side is shorter than minSamples
+   */
+  test(recent, long) {
+    const reference = long.slice(0, Math.max(0, long.length - recent.length));
+    if (recent.length < this.minSamples || reference.length < this.minSamples) return null;
+
+    const threshold = this.alpha / this.features.length;
+    const drifted = [];
+    for (const j of this.features) {
+      const a = reference.map(v => v[j]).filter(Number.isFinite);
+      const b = recent.map(v => v[j]).filter(Number.isFinite);
+      if (a.length < this.minSamples || b.length < this.minSamples) continue;
+      const { statistic, pValue } = ksTwoSample(a, b);
+      if (pValue < threshold && statistic >= this.minStatistic) {
+        drifted.push({
+          index: j,
+          name: this._name(j),
+          statistic,
+          pValue,
+          before: a.reduce((s, x) => s + x, 0) / a.length,
+          after: b.reduce((s, x) => s + x, 0) / b.length
+        });
+      }
+    }
+    this.lastTest = {
+      ts: this.now(),
+      reference: reference.length,
+      recent: recent.length,
+      drifted: drifted.map(f => f.name)
+    };
+    return { ...this.lastTest, drifted };
+  }
+
+  _signal(source, features, context) {
+    const signal = { ts: this.now(), source, tabId: context.tabId ?? null, features };
+    this.signalCount++;
+    this.lastSignal = signal;
+    this.pending.push(signal);
+    if (this.pending.length > MAX_PENDING) this.pending.shift();
+    return signal;
+  }
+
+  /** Signals raised since the last call, oldest first */
+  takeSignals() {
+    return this.pending.splice(0);
+  }
+
+  getStatus() {
+    return {
+      seen: this.seen,
+      signalCount: this.signalCount,
+      lastSignal: this.lastSignal,
+      lastTest: this.lastTest,
+      windows: this.features.map(j => ({ name: this._name(j), width: this.detectors[j].width }))
+    };
+  }
+
+  reset() {
+    this.detectors = Array.from({ length: this.nFeatures }, () => this._newDetector());
+    this.quietUntil.fill(0);
+    this.seen = 0;
+    this.sinceTest = 0;
+    this.pending = [];
+  }
+
+  toJSON() {
+    return {
+      nFeatures: this.nFeatures,
+      featureNames: this.featureNames,
+      features: this.features,
+      delta: this.delta,
+      clip: this.clip,
+      testEvery: this.testEvery,
+      alpha: this.alpha,
+      minSamples: this.minSamples,
+      minStatistic: this.minStatistic,
+      detectors: this.detectors.map(d => d.toJSON()),
+      quietUntil: [...this.quietUntil],
+      seen: this.seen,
+      sinceTest: this.sinceTest,
+      signalCount: this.signalCount,
+      lastSignal: this.lastSignal,
+      lastTest: this.lastTest
+    };
+  }
+
+  static fromJSON(data, opts = {}) {
+    const monitor = new CovariateDriftMonitor({ ...data, ...opts });
+    if (data.detectors?.length === monitor.nFeatures) {
+      monitor.detectors = data.detectors.map(d => ADWIN.fromJSON(d, () => {}, monitor.now));
+      monitor.quietUntil = data.quietUntil ?? monitor.quietUntil;
+      monitor.seen = data.seen ?? 0;
+      monitor.sinceTest = data.sinceTest ?? 0;
+    }
+    monitor.signalCount = data.signalCount ?? 0;
+    monitor.lastSignal = data.lastSignal ?? null;
+    monitor.lastTest = data.lastTest ?? null;
+    return monitor;
+  }
+}
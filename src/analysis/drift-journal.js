@@ -0,0 +1,133 @@
+'use strict';
+
+/* ---------------------------------------------------------
+   Journal of concept-drift detections.
+
+   Takes the events HoeffdingTree.takeDriftEvents() returns
+   and keeps the most recent maxEntries of them, oldest first:
+     ts / lastTs        first and latest detection
+     detector           drift-detectors.js type
+     before / after     { width, meanError, features } on each
+                        side of the cut; features are per-input
+                        { name, n, mean, sd, min, max }
+   A detection whose post-drift window still contains the
+   previous entry's detection continues that entry (ADWIN
+   shrinks its window over several updates for one change):
+   the dropped "before" sides are pooled, the latest "after"
+   side replaces the old one.
+--------------------------------------------------------- */
+
+// Configuration
+const MAX_ENTRIES = 100;
+
+/** Pool two { n, mean, sd, min, max } summaries of disjoint samples */
+function poolSummaries(a, b) {
+  if (!a.n) return { ...b };
+  if (!b.n) return { ...a };
+  const n = a.n + b.n;
+  const d = b.mean - a.mean;
+  const m2 = a.sd ** 2 * a.n + b.sd ** 2 * b.n + (d * d * a.n * b.n) / n;
+  return {
+    ...a,
+    n,
+    mean: a.mean + (d * b.n) / n,
+    sd: Math.sqrt(m2 / n),
+    min: Math.min(a.min, b.min),
+    max: Math.max(a.max, b.max)
+  };
+}
+
+/** Width-weighted mean error of two sides */
+function poolMeanError(a, b) {
+  if (a.meanError == null) return b.meanError;
+  if (b.meanError == null) return a.meanError;
+  return (a.meanError * a.width + b.meanError * b.width) / (a.width + b.width);
+}
+
+export default class DriftJournal {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.maxEntries=100]
+   * @param {string[]} [opts.featureNames] names for the feature summaries
+   */
+  constructor(opts = {}) {
+    this.maxEntries = opts.maxEntries ?? MAX_ENTRIES;
+    this.featureNames = opts.featureNames ?? [];
+    this.entries = [];
+  }
+
+  /**
+   * Add one detection.
+   * @param {object} event HoeffdingTree drift event
+   * @returns {object} the new or continued entry
+   */
+  record(event) {
+    const side = s => ({
+      width: s.width,
+      meanError: s.meanError,
+      features: s.features.map((f, i) => ({ name: this.featureNames[i] ?? `f${i}`, ...f }))
+    });
+    const last = this.entries[this.entries.length - 1];
+    if (last && last.detector === event.detector &&
+        event.instancesSeen - last.instancesSeen < event.after.width) {
+      const before = side(event.before);
+      last.before = {
+        width: last.before.width + before.width,
+        meanError: poolMeanError(last.before, before),
+        features: last.before.features.map((f, i) => poolSummaries(f, before.features[i]))
+      };
+      last.after = side(event.after);
+      last.lastTs = event.ts;
+      last.instancesSeen = event.instancesSeen;
+      last.detections++;
+      return last;
+    }
+
+    const entry = {
+      ts: event.ts,
+      lastTs: event.ts,
+      detector: event.detector,
+      instancesSeen: event.instancesSeen,
+      detections: 1,
+      before: side(event.before),
+      after: side(event.after)
+    };
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) this.entries.shift();
+    return entry;
+  }
+
+  /**
+   * Entries oldest first.
+   * @param {{since?:number, limit?:number}} [query] since: ts lower bound;
+   *        limit: keep only the newest `limit` entries
+   */
+  getEntries({ since = -Infinity, limit = Infinity } = {}) {
+    const out = this.entries.filter(e => e.lastTs >= since);
+    return (limit < out.length ? out.slice(-limit) : out).map(e => structuredClone(e));
+  }
+
+  /** Most recent entry, or null */
+  getLast() {
+    const last = this.entries[this.entries.length - 1];
+    return last ? structuredClone(last) : null;
+  }
+
+  clear() {
+    this.entries = [];
+  }
+
+  toJSON() {
+    return {
+      maxEntries: this.maxEntries,
+      featureNames: this.featureNames,
+      entries: this.entries
+    };
+  }
+
+  static fromJSON(data, opts = {}) {
+    const journal = new DriftJournal({ ...data, ...opts });
+    journal.entries = (data.entries ?? []).slice(-journal.maxEntries);
+    return journal;
+  }
+}
@@ -6,6 +6,7 @@
    streams them to:
        • HoeffdingTree   – incremental classifier / concept-drift learner
        • MSPC            – multivariate-SPC anomaly detector (periodic only)
+       • CovariateDriftMonitor – unsupervised drift tests on the vectors
 
    The module is framework-agnostic: it works inside a Chrome/Firefox
    service-worker, a background page or Node.js (for offline replay tests).
@@ -15,6 +16,7 @@
      utils/circular-buffer.js   – O(1) ring buffer
      hoeffding-tree.js          – online decision tree with ADWIN drift
      mspc.js                    – Hotelling T² multivariate SPC
+     covariate-drift.js         – per-feature ADWIN + KS window test
     ==========================================================================*/
 
 'use strict';
@@ -24,6 +26,7 @@ import CircularBuffer from '../utils/circular-buffer.js';
 import HoeffdingTree  from '../models/hoeffding-tree.js';
 import { MSPC }       from '../models/mspc.js';
 import { OnlineScaler } from '../utils/online-scaler.js'
+import CovariateDriftMonitor from './covariate-drift.js';
 
 /* --------- constants ----------------------------------------------------- */
 const REPORT_PERIOD_MS = 30_000;             // must match content-script
@@ -41,25 +44,50 @@ const FEATURE_LAYOUT = [
 ];
 const FEATURE_COUNT = FEATURE_LAYOUT.length;
 
+/*   left out of covariate-drift monitoring: they trend with session/page
+     age by construction (running averages, cumulative counts) */
+const DRIFT_UNMONITORED = ['interactionFreq', 'mspc_s5', 'domainDiversity', 'focusRatio'];
+export { FEATURE_LAYOUT, FEATURE_COUNT };
+
 export default class FeatureEngineer {
   /* ------------------------------------------------- ctor -------------- */
   constructor (opts = {}) {
+    /* injectable clock / PRNG for deterministic replays */
+    this.now    = opts.now    ?? Date.now;
+    this.random = opts.random ?? Math.random;
+
     /* sliding windows (periodic vectors only) */
     this.winShort  = new CircularBuffer(opts.shortWin  ?? SHORT);
     this.winMedium = new CircularBuffer(opts.medWin    ?? MEDIUM);
     this.winLong   = new CircularBuffer(opts.longWin   ?? LONG);
 
+    /* the same windows before scaling: the scalers keep adapting, so
+       z-scores from an hour apart are not comparable for a KS test */
+    this.rawShort  = new CircularBuffer(opts.shortWin  ?? SHORT);
+    this.rawLong   = new CircularBuffer(opts.longWin   ?? LONG);
+
     /* per-tab live session state */
     this.sessions = new Map();
 
     /* learners */
-    this.tree = new HoeffdingTree({ nFeatures: FEATURE_COUNT });
-    this.mspc = new MSPC(6);                        // scroll, clicks … timeSince
+    const deps = { now: this.now, random: this.random };
+    this.mspcLogger = opts.mspcLogger;              // MSPC default if unset
+    this.tree = new HoeffdingTree({ nFeatures: FEATURE_COUNT, ...deps });
+    this.mspc = new MSPC(6, { ...deps, logger: this.mspcLogger }); // scroll, clicks … timeSince
 
     // per-feature online z-score scalers
     this.scalers = Array.from({ length: FEATURE_COUNT },
     () => new OnlineScaler( /* optional decay α=*/0.01 ));
 
+    /* input drift, independent of feedback (opts.covariateDrift overrides) */
+    this.covariateDrift = new CovariateDriftMonitor({
+      nFeatures: FEATURE_COUNT,
+      featureNames: FEATURE_LAYOUT,
+      features: FEATURE_LAYOUT.flatMap((name, i) => DRIFT_UNMONITORED.includes(name) ? [] : [i]),
+      now: this.now,
+      ...opts.covariateDrift
+    });
+
     /* allow UI → feedback */
     this._pendingFeedback = new Map();
   }
@@ -91,6 +119,29 @@ export default class FeatureEngineer {
     this._pendingFeedback.get(tabID).push({ classValue, confidence });
   }
 
+  /** learner + scaler state for checkpointing (live sessions are not kept) */
+  toJSON () {
+    return {
+      scalers: this.scalers.map(s => s.toJSON()),
+      tree:    this.tree.toJSON(),
+      mspc:    this.mspc.toJSON(),
+      covariateDrift: this.covariateDrift.toJSON()
+    };
+  }
+
+  /** rebuild from toJSON() output; opts are passed to the constructor */
+  static fromJSON (data, opts = {}) {
+    const fe = new FeatureEngineer(opts);
+    if (data.scalers?.length === FEATURE_COUNT)
+      fe.scalers = data.scalers.map(s => OnlineScaler.fromJSON(s));
+    const deps = { now: fe.now, random: fe.random };
+    if (data.tree) fe.tree = HoeffdingTree.fromJSON(data.tree, deps);
+    if (data.mspc) fe.mspc = MSPC.fromJSON(data.mspc, { ...deps, logger: fe.mspcLogger });
+    if (data.covariateDrift)
+      fe.covariateDrift = CovariateDriftMonitor.fromJSON(data.covariateDrift, { now: fe.now });
+    return fe;
+  }
+
   /* ================================================= INTERNAL ========= */
 
   /* --------------------------- periodic message ----------------------- */
@@ -108,8 +159,9 @@ export default class FeatureEngineer {
     /* update session aggregates */
     this._updateSessionState(s, d);
 
-    /* build 15-dim feature vector */
-    const feat = this._buildFeatureVector(s, d, vecBuf);
+    /* build 16-dim feature vector, z-scored per dimension */
+    const raw  = this._buildFeatureVector(s, d, vecBuf);
+    const feat = raw.map((x, i) => this.scalers[i].normalize(x));
 
     /* keep last vector in session for UI */
     s.lastVec = feat;
@@ -118,6 +170,11 @@ export default class FeatureEngineer {
     this.winShort.push(feat);
     this.winMedium.push(feat);
     this.winLong.push(feat);
+    this.rawShort.push(raw);
+    this.rawLong.push(raw);
+
+    /* unsupervised input drift; signals wait in covariateDrift.takeSignals() */
+    this.covariateDrift.observe(feat, this.rawShort, this.rawLong, { tabId: d.tabID });
 
     /* ─── online learners ────────────────────────────────────────────── */
     /* 1) classification: label unknown ⇒ use neutral class (1) unless feedback queued */
@@ -157,30 +214,29 @@ export default class FeatureEngineer {
     const freq            = d.interactionFrequency;
     const vis             = d.isVisible ? 1 : 0;
 
-    // unpack MSPC raw vector
+    // unpack MSPC raw vector (ArrayBuffer in-process, plain array over a port)
     let spc = [0,0,0,0,0,0];
     if (vecBuf instanceof ArrayBuffer) {
         if (vecBuf.byteLength === 6 * 8) {
             spc = Array.from(new Float64Array(vecBuf));
         }
+    } else if (Array.isArray(vecBuf) && vecBuf.length === 6) {
+        spc = vecBuf.map(Number);
     }
 
     const idle            = d.timeSinceLastMs;
     const act             = (d.activityScore ?? 0);
     const dom             = s.domains.size;
-    const duration        = Date.now() - s.startTime;
+    const duration        = this.now() - s.startTime;
     const focusRatio      = duration > 0 ? s.focusMs / duration : 0;
 
-    // assemble raw feature array
-    const rawFeatures = [
+    // assemble raw feature array (scaled by the caller)
+    return [
       scrollRate, clickRate, keyRate, moveRate,
       freq, vis,
       ...spc,
       idle, act, dom, focusRatio
     ];
-
-    // apply streaming z-score normalization per dimension
-    return rawFeatures.map((x,i) => this.scalers[i].normalize(x));
   }
 
   /* --------------------------- per-session helpers ------------------- */
@@ -188,7 +244,7 @@ export default class FeatureEngineer {
     return {
       id,
       domains: new Set([domain]),
-      startTime: Date.now(),
+      startTime: this.now(),
       focusMs: 0,
       lastVec: null
     };
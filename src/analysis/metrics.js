@@ -1,22 +1,44 @@
 import CircularBuffer from '../utils/circular-buffer.js';
+import PrequentialEvaluator from './prequential.js';
+
+const CLASS_LABELS = ['productive', 'non-productive', 'overuse'];
+const POSITIVE_CLASS = 2;  // overuse: the class the binary tp/fp/tn/fn view scores
 
 class MetricsCollector {
-  constructor() {
+  /**
+   * @param {object} [opts]
+   * @param {function():number} [opts.now=Date.now] clock for recorded
+   *        ML metrics (performance sampling always uses the wall clock)
+   */
+  constructor(opts = {}) {
+    this.now = opts.now ?? Date.now;
+
     // Performance monitoring
     this.performanceBuffer = new CircularBuffer(10000);
     this.memoryBuffer = new CircularBuffer(5000);
     this.cpuBuffer = new CircularBuffer(5000);
     
     // ML Metrics buffers
+    // K×K counts, rows = actual class, columns = predicted class
+    this.classLabels = CLASS_LABELS;
+    this.multiclassMatrix = CLASS_LABELS.map(() => new Array(CLASS_LABELS.length).fill(0));
+    // one-vs-rest view of multiclassMatrix for POSITIVE_CLASS
     this.confusionMatrix = { tp: 0, fp: 0, tn: 0, fn: 0 };
     this.predictionHistory = new CircularBuffer(2000);
-    this.votingAgreementData = new CircularBuffer(1000);
+    this.votingAgreementData = new CircularBuffer(1000);  // labelled votes
+    this.voteAgreement = new CircularBuffer(1000);        // every vote, no label
     this.adwinWindowSizes = new CircularBuffer(5000);
     
     // Model performance tracking
     this.mspcAccuracy = new CircularBuffer(1000);
     this.hatAccuracy = new CircularBuffer(1000);
     this.ensembleAccuracy = new CircularBuffer(1000);
+
+    // Test-then-train evaluation on feedback labels only
+    this.prequential = new PrequentialEvaluator({ now: this.now });
+
+    // Calibration: (confidence, correct) pairs for labelled votes
+    this.calibrationData = new CircularBuffer(2000);
     
     // AUC calculation data
     this.aucBuffer = new CircularBuffer(2000);
@@ -58,13 +80,26 @@ class MetricsCollector {
    * 1. CONFUSION MATRIX & CLASSIFICATION METRICS
    */
   updateConfusionMatrix(predicted, actual, confidence = 1.0) {
-    const timestamp = Date.now();
-    
+    const timestamp = this.now();
+    
+    // Labels may arrive as indices or as CLASS_LABELS strings
+    const p = this.classIndex(predicted);
+    const a = this.classIndex(actual);
+    if (p < 0 || a < 0) {
+      console.warn('Unknown class in confusion matrix update:', predicted, actual);
+      return null;
+    }
+    predicted = p;
+    actual = a;
+
     // Update confusion matrix
-    if (predicted === 1 && actual === 1) this.confusionMatrix.tp++;
-    else if (predicted === 1 && actual === 0) this.confusionMatrix.fp++;
-    else if (predicted === 0 && actual === 0) this.confusionMatrix.tn++;
-    else if (predicted === 0 && actual === 1) this.confusionMatrix.fn++;
+    this.multiclassMatrix[actual][predicted]++;
+    const isPred = predicted === POSITIVE_CLASS;
+    const isActual = actual === POSITIVE_CLASS;
+    if (isPred && isActual) this.confusionMatrix.tp++;
+    else if (isPred) this.confusionMatrix.fp++;
+    else if (isActual) this.confusionMatrix.fn++;
+    else this.confusionMatrix.tn++;
     
     // Store prediction for AUC calculation
     this.predictionHistory.push({
@@ -79,6 +114,7 @@ class MetricsCollector {
     
     return {
       confusionMatrix: { ...this.confusionMatrix },
+      multiclass: this.calculateMulticlassMetrics(),
       accuracy: metrics.accuracy,
       precision: metrics.precision,
       recall: metrics.recall,
@@ -101,11 +137,74 @@ class MetricsCollector {
     return { accuracy, precision, recall, f1Score };
   }
 
+  /** Class index for a numeric index or a CLASS_LABELS string, else -1 */
+  classIndex(value) {
+    if (Number.isInteger(value)) return value >= 0 && value < this.classLabels.length ? value : -1;
+    return this.classLabels.indexOf(value);
+  }
+
+  /**
+   * Per-class precision/recall/F1, macro/micro/weighted averages and
+   * Cohen's kappa from the K×K matrix.
+   */
+  calculateMulticlassMetrics() {
+    const m = this.multiclassMatrix;
+    const K = this.classLabels.length;
+    const rowSums = m.map(row => row.reduce((a, b) => a + b, 0));
+    const colSums = m[0].map((_, j) => m.reduce((s, row) => s + row[j], 0));
+    const total = rowSums.reduce((a, b) => a + b, 0);
+    const f1 = (p, r) => (p + r) > 0 ? 2 * p * r / (p + r) : 0;
+
+    const perClass = {};
+    const macro = { precision: 0, recall: 0, f1Score: 0 };
+    const weighted = { precision: 0, recall: 0, f1Score: 0 };
+    let correct = 0;
+    for (let k = 0; k < K; k++) {
+      const tp = m[k][k];
+      correct += tp;
+      const precision = colSums[k] > 0 ? tp / colSums[k] : 0;
+      const recall = rowSums[k] > 0 ? tp / rowSums[k] : 0;
+      const f1Score = f1(precision, recall);
+      perClass[this.classLabels[k]] = { precision, recall, f1Score, support: rowSums[k] };
+
+      macro.precision += precision / K;
+      macro.recall += recall / K;
+      macro.f1Score += f1Score / K;
+      const w = total > 0 ? rowSums[k] / total : 0;
+      weighted.precision += w * precision;
+      weighted.recall += w * recall;
+      weighted.f1Score += w * f1Score;
+    }
+
+    // Single-label multiclass: micro precision = recall = F1 = accuracy
+    const accuracy = total > 0 ? correct / total : 0;
+    const micro = { precision: accuracy, recall: accuracy, f1Score: accuracy };
+
+    // Cohen's kappa: agreement beyond what the marginals give by chance
+    const expected = total > 0
+      ? rowSums.reduce((s, r, k) => s + r * colSums[k], 0) / (total * total)
+      : 0;
+    const kappa = total > 0 && expected < 1 ? (accuracy - expected) / (1 - expected) : 0;
+
+    return {
+      labels: [...this.classLabels],
+      matrix: m.map(row => [...row]),
+      total,
+      accuracy,
+      perClass,
+      macro,
+      micro,
+      weighted,
+      kappa
+    };
+  }
+
   /**
    * 2. PERFORMANCE MONITORING (CPU, Memory, Latency)
    */
   startPerformanceMonitoring() {
-    if (!('performance' in window)) {
+    // Service workers and Node have no window (and no DOM to report to)
+    if (typeof window === 'undefined' || !('performance' in window)) {
       console.warn('Performance API not available');
       return;
     }
@@ -191,7 +290,13 @@ class MetricsCollector {
 
   /**
    * 3. VOTING AGREEMENT RATE
+   * recordVoteAgreement() sees every vote (agreement only, no ground truth);
+   * recordVotingAgreement() sees the labelled ones and scores them.
    */
+  recordVoteAgreement(mspcVote, hatVote) {
+    this.voteAgreement.push(mspcVote === hatVote ? 1 : 0);
+  }
+
   recordVotingAgreement(mspcVote, hatVote, ensembleVote, actualClass, confidence) {
     const agreement = {
       mspcVote,
@@ -199,7 +304,7 @@ class MetricsCollector {
       ensembleVote,
       actualClass,
       confidence,
-      timestamp: Date.now(),
+      timestamp: this.now(),
       mspcCorrect: mspcVote === actualClass,
       hatCorrect: hatVote === actualClass,
       ensembleCorrect: ensembleVote === actualClass,
@@ -215,17 +320,24 @@ class MetricsCollector {
     };
   }
 
+  /**
+   * rate / totalSamples: MSPC–HAT agreement over all recent votes;
+   * labelledRate / correctness / labelledSamples: over labelled votes only,
+   * correctness being how often the ensemble was right when both agreed
+   */
   calculateAgreementRate() {
+    const votes = this.voteAgreement.toArray();
     const data = this.votingAgreementData.toArray();
-    if (data.length === 0) return { rate: 0, correctness: 0 };
     
     const agreements = data.filter(d => d.modelsAgree);
     const correctAgreements = agreements.filter(d => d.agreementCorrect);
     
     return {
-      rate: agreements.length / data.length,
+      rate: votes.length ? votes.reduce((a, b) => a + b, 0) / votes.length : 0,
+      totalSamples: votes.length,
+      labelledRate: data.length ? agreements.length / data.length : 0,
       correctness: correctAgreements.length / Math.max(1, agreements.length),
-      totalSamples: data.length
+      labelledSamples: data.length
     };
   }
 
@@ -235,7 +347,7 @@ class MetricsCollector {
   recordADWINWindowSize(windowSize, driftDetected = false) {
     this.adwinWindowSizes.push({
       size: windowSize,
-      timestamp: Date.now(),
+      timestamp: this.now(),
       driftDetected
     });
   }
@@ -289,6 +401,17 @@ class MetricsCollector {
     this.ensembleAccuracy.push(ensembleCorrect ? 1 : 0);
   }
 
+  /**
+   * Score each model's pre-feedback prediction against a real label.
+   * @param {{mspc?:number, hat?:number, ensemble?:number}} predictions
+   * @param {number} actualClass
+   */
+  recordPrequential(predictions, actualClass) {
+    const actual = this.classIndex(actualClass);
+    if (actual < 0) return null;
+    return this.prequential.update(predictions, actual);
+  }
+
   calculateAUC(predictions, labels) {
     if (this.aucWorker) {
       // Use Web Worker for AUC calculation
@@ -341,6 +464,65 @@ class MetricsCollector {
     return auc;
   }
 
+  /**
+   * 6. CALIBRATION QUALITY
+   */
+  recordCalibration(confidence, correct) {
+    if (!Number.isFinite(confidence)) return;
+    this.calibrationData.push({
+      confidence: Math.min(1, Math.max(0, confidence)),
+      correct: correct ? 1 : 0,
+      timestamp: this.now()
+    });
+  }
+
+  /**
+   * Brier score, expected/maximum calibration error and reliability bins
+   * over the recorded (confidence, correct) pairs.
+   */
+  calculateCalibrationMetrics(nBins = 10) {
+    const data = this.calibrationData.toArray();
+    const bins = Array(nBins).fill(0).map((_, i) => ({
+      bin: i,
+      min: i / nBins,
+      max: (i + 1) / nBins,
+      count: 0,
+      avgConfidence: 0,
+      accuracy: 0
+    }));
+    if (data.length === 0) {
+      return { samples: 0, brierScore: null, ece: null, mce: null, reliabilityBins: bins };
+    }
+
+    let brier = 0;
+    data.forEach(({ confidence, correct }) => {
+      brier += (confidence - correct) ** 2;
+      const b = bins[Math.min(Math.floor(confidence * nBins), nBins - 1)];
+      b.count++;
+      b.avgConfidence += confidence;
+      b.accuracy += correct;
+    });
+
+    let ece = 0;
+    let mce = 0;
+    bins.forEach(b => {
+      if (b.count === 0) return;
+      b.avgConfidence /= b.count;
+      b.accuracy /= b.count;
+      const gap = Math.abs(b.accuracy - b.avgConfidence);
+      ece += (b.count / data.length) * gap;
+      mce = Math.max(mce, gap);
+    });
+
+    return {
+      samples: data.length,
+      brierScore: brier / data.length,
+      ece,
+      mce,
+      reliabilityBins: bins
+    };
+  }
+
   /**
    * UTILITY METHODS
    */
@@ -401,9 +583,10 @@ class MetricsCollector {
    */
   exportAllMetrics() {
     return {
-      timestamp: Date.now(),
+      timestamp: this.now(),
       confusionMatrix: { ...this.confusionMatrix },
       classificationMetrics: this.calculateClassificationMetrics(),
+      multiclassMetrics: this.calculateMulticlassMetrics(),
       performanceMetrics: {
         avgLatency: this.getAverageLatency(),
         memoryStats: this.getMemoryStats(),
@@ -416,6 +599,11 @@ class MetricsCollector {
         hat: this.getAverageAccuracy(this.hatAccuracy),
         ensemble: this.getAverageAccuracy(this.ensembleAccuracy)
       },
+      prequential: {
+        ...this.prequential.getMetrics(),
+        curves: this.prequential.getCurves()
+      },
+      calibration: this.calculateCalibrationMetrics(),
       shapleyValues: this.shapleyBuffer.toArray().slice(-10),
       aucScores: this.aucBuffer.toArray().slice(-10)
     };
@@ -457,6 +645,7 @@ class MetricsCollector {
 }
 
 // Export for use in service worker and content script
+export default MetricsCollector;
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = MetricsCollector;
 }
@@ -0,0 +1,214 @@
+'use strict';
+
+/* ---------------------------------------------------------
+   Prequential (test-then-train) evaluation on feedback labels.
+
+   Every labelled instance is scored for each model with the
+   prediction it made *before* learning from that label. All
+   models share one label sequence, so their curves line up
+   instance for instance.
+
+   Per model:
+     fading accuracy   Σαⁱ·correct / Σαⁱ
+     window accuracy   over the last `windowSize` labels
+     kappa             vs chance agreement from the window marginals
+     kappa-T           vs a no-change classifier (previous label)
+     kappa-M           vs a majority-class classifier
+--------------------------------------------------------- */
+
+// Configuration
+const FADING_FACTOR = 0.999;
+const WINDOW_SIZE   = 200;
+const CURVE_LENGTH  = 500;   // points kept per model for charting
+const N_CLASSES     = 3;
+
+/** kappa-style statistic; 0 when the baseline is already perfect */
+const kappaVs = (p0, pBase) => (pBase < 1 ? (p0 - pBase) / (1 - pBase) : 0);
+
+/** Overuse vs not, for models that only detect overuse (MSPC) */
+const foldOveruse = c => (c === 2 ? 2 : 1);
+
+class ModelStream {
+  constructor(nClasses, fadingFactor, windowSize) {
+    this.nClasses = nClasses;
+    this.fadingFactor = fadingFactor;
+    this.windowSize = windowSize;
+
+    this.instances = 0;
+    this.fadedCorrect = 0;
+    this.fadedCount = 0;
+    this.window = [];        // { predicted, actual, noChangeCorrect, majorityCorrect }
+    this.labelCounts = new Array(nClasses).fill(0);   // labels seen in the window
+    this.prevLabel = null;
+    this.curve = [];
+  }
+
+  update(predicted, actual, ts) {
+    const correct = predicted === actual ? 1 : 0;
+    this.instances++;
+    this.fadedCorrect = this.fadingFactor * this.fadedCorrect + correct;
+    this.fadedCount = this.fadingFactor * this.fadedCount + 1;
+
+    // baselines predict before seeing this label too
+    let majority = 0;
+    for (let c = 1; c < this.nClasses; c++) {
+      if (this.labelCounts[c] > this.labelCounts[majority]) majority = c;
+    }
+    this.window.push({
+      predicted,
+      actual,
+      noChangeCorrect: this.prevLabel === actual,
+      majorityCorrect: majority === actual
+    });
+    this.labelCounts[actual]++;
+    if (this.window.length > this.windowSize) {
+      this.labelCounts[this.window.shift().actual]--;
+    }
+    this.prevLabel = actual;
+
+    const point = { n: this.instances, ts, ...this.getMetrics() };
+    this.curve.push(point);
+    if (this.curve.length > CURVE_LENGTH) this.curve.shift();
+    return point;
+  }
+
+  getMetrics() {
+    const n = this.window.length;
+    if (n === 0) {
+      return { fadingAccuracy: null, windowAccuracy: null, kappa: null, kappaT: null, kappaM: null };
+    }
+    const predCounts = new Array(this.nClasses).fill(0);
+    let correct = 0;
+    let noChange = 0;
+    let majority = 0;
+    for (const w of this.window) {
+      predCounts[w.predicted]++;
+      if (w.predicted === w.actual) correct++;
+      if (w.noChangeCorrect) noChange++;
+      if (w.majorityCorrect) majority++;
+    }
+    const p0 = correct / n;
+    let pChance = 0;
+    for (let c = 0; c < this.nClasses; c++) {
+      pChance += (predCounts[c] / n) * (this.labelCounts[c] / n);
+    }
+    return {
+      fadingAccuracy: this.fadedCorrect / this.fadedCount,
+      windowAccuracy: p0,
+      kappa: kappaVs(p0, pChance),
+      kappaT: kappaVs(p0, noChange / n),
+      kappaM: kappaVs(p0, majority / n)
+    };
+  }
+
+  toJSON() {
+    return {
+      instances: this.instances,
+      fadedCorrect: this.fadedCorrect,
+      fadedCount: this.fadedCount,
+      window: this.window.map(w => ({ ...w })),
+      prevLabel: this.prevLabel,
+      curve: this.curve.map(p => ({ ...p }))
+    };
+  }
+
+  restore(data) {
+    this.instances = data.instances ?? 0;
+    this.fadedCorrect = data.fadedCorrect ?? 0;
+    this.fadedCount = data.fadedCount ?? 0;
+    this.window = (data.window ?? []).slice(-this.windowSize).map(w => ({ ...w }));
+    this.labelCounts.fill(0);
+    for (const w of this.window) this.labelCounts[w.actual]++;
+    this.prevLabel = data.prevLabel ?? null;
+    this.curve = (data.curve ?? []).map(p => ({ ...p }));
+  }
+}
+
+export default class PrequentialEvaluator {
+  /**
+   * @param {object} [opts]
+   * @param {string[]} [opts.models=['mspc','hat','ensemble']]
+   * @param {string[]} [opts.overuseOnly=['mspc']] models judged on overuse vs not:
+   *        prediction and label are both folded to 2 / 1 before scoring
+   * @param {number} [opts.fadingFactor=0.999]
+   * @param {number} [opts.windowSize=200]
+   * @param {number} [opts.nClasses=3]
+   * @param {function():number} [opts.now=Date.now] clock for curve timestamps
+   */
+  constructor(opts = {}) {
+    this.models = opts.models ?? ['mspc', 'hat', 'ensemble'];
+    this.overuseOnly = opts.overuseOnly ?? ['mspc'];
+    this.fadingFactor = opts.fadingFactor ?? FADING_FACTOR;
+    if (!(this.fadingFactor > 0 && this.fadingFactor <= 1)) {
+      throw new Error('fadingFactor must be in (0, 1]');
+    }
+    this.windowSize = opts.windowSize ?? WINDOW_SIZE;
+    this.nClasses = opts.nClasses ?? N_CLASSES;
+    this.now = opts.now ?? Date.now;
+
+    this.streams = new Map(this.models.map(m =>
+      [m, new ModelStream(this.nClasses, this.fadingFactor, this.windowSize)]));
+  }
+
+  /**
+   * Score one labelled instance for every model that made a prediction.
+   * @param {Object<string, number>} predictions model name → predicted class
+   * @param {number} actual true class from feedback
+   * @returns {Object<string, object>} model name → metrics after this instance
+   */
+  update(predictions, actual, ts = this.now()) {
+    if (!Number.isInteger(actual) || actual < 0 || actual >= this.nClasses) {
+      throw new Error('Invalid class label');
+    }
+    const out = {};
+    for (const [model, stream] of this.streams) {
+      const predicted = predictions[model];
+      if (!Number.isInteger(predicted) || predicted < 0 || predicted >= this.nClasses) continue;
+      out[model] = this.overuseOnly.includes(model)
+        ? stream.update(foldOveruse(predicted), foldOveruse(actual), ts)
+        : stream.update(predicted, actual, ts);
+    }
+    return out;
+  }
+
+  /** Current metrics per model */
+  getMetrics() {
+    const out = {};
+    for (const [model, stream] of this.streams) {
+      out[model] = { instances: stream.instances, ...stream.getMetrics() };
+    }
+    return {
+      fadingFactor: this.fadingFactor,
+      windowSize: this.windowSize,
+      models: out
+    };
+  }
+
+  /** Metric curves per model, oldest point first */
+  getCurves() {
+    const out = {};
+    for (const [model, stream] of this.streams) out[model] = stream.curve.map(p => ({ ...p }));
+    return out;
+  }
+
+  toJSON() {
+    const streams = {};
+    for (const [model, stream] of this.streams) streams[model] = stream.toJSON();
+    return {
+      models: this.models,
+      overuseOnly: this.overuseOnly,
+      fadingFactor: this.fadingFactor,
+      windowSize: this.windowSize,
+      nClasses: this.nClasses,
+      streams
+    };
+  }
+
+  static fromJSON(data, opts = {}) {
+    const ev = new PrequentialEvaluator({ ...data, ...opts });
+    for (const [model, stream] of ev.streams) {
+      if (data.streams?.[model]) stream.restore(data.streams[model]);
+    }
+    return ev;
+  }
+}
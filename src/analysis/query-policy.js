@@ -0,0 +1,204 @@
+'use strict';
+
+/* ---------------------------------------------------------
+   Active-learning policy for feedback requests.
+
+   Labels cost the user an interruption, so a request is only
+   made when the label is likely to teach the models something:
+     'drift'         the inputs of the tab just changed
+                     (CovariateDriftMonitor signal)
+     'disagreement'  MSPC and HAT disagree on overuse, once the
+                     ensemble has seen minTrustedLabels labels
+                     (before that an untrained HAT disagrees
+                     with MSPC nearly all the time)
+     'uncertain'     the ensemble's own vote is unsure –
+                     'margin': top-two probability gap below
+                     marginThreshold, or 'entropy': normalised
+                     entropy above entropyThreshold
+   checked in that order. Every request spends one unit of a
+   per-day budget (local calendar day) and requests are at
+   least minIntervalMs apart, so one uncertain stretch cannot
+   use up the day.
+--------------------------------------------------------- */
+
+// Configuration
+const DAILY_BUDGET      = 6;
+const MIN_INTERVAL_MS   = 30 * 60 * 1000;
+const MARGIN_THRESHOLD  = 0.15;   // top-1 minus top-2 probability
+const ENTROPY_THRESHOLD = 0.85;   // entropy / log(nClasses)
+const MIN_TRUSTED_LABELS = 30;    // labels before disagreement counts
+const STRATEGIES = ['margin', 'entropy'];
+const REASONS = ['drift', 'disagreement', 'uncertain'];
+
+/** Local calendar day of a timestamp, e.g. '2024-3-9' */
+function dayKey(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+}
+
+/** Gap between the two largest probabilities (1 = certain) */
+function margin(probabilities) {
+  const [p1 = 0, p2 = 0] = [...probabilities].sort((a, b) => b - a);
+  return p1 - p2;
+}
+
+/** Shannon entropy divided by its maximum (1 = uniform) */
+function normalizedEntropy(probabilities) {
+  const total = probabilities.reduce((s, p) => s + p, 0);
+  if (!(total > 0) || probabilities.length < 2) return 0;
+  let h = 0;
+  for (const p of probabilities) {
+    const q = p / total;
+    if (q > 0) h -= q * Math.log(q);
+  }
+  return h / Math.log(probabilities.length);
+}
+
+export default class QueryPolicy {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.dailyBudget=6]            requests per day
+   * @param {number} [opts.minIntervalMs=1800000]    gap between two requests
+   * @param {'margin'|'entropy'} [opts.strategy='margin']
+   * @param {number} [opts.marginThreshold=0.15]
+   * @param {number} [opts.entropyThreshold=0.85]
+   * @param {number} [opts.minTrustedLabels=30]      labels the voter must have
+   *        seen before an MSPC/HAT disagreement is worth a request
+   * @param {function():number} [opts.now=Date.now]
+   */
+  constructor(opts = {}) {
+    this.dailyBudget = opts.dailyBudget ?? DAILY_BUDGET;
+    this.minIntervalMs = opts.minIntervalMs ?? MIN_INTERVAL_MS;
+    this.strategy = opts.strategy ?? 'margin';
+    if (!STRATEGIES.includes(this.strategy)) {
+      throw new Error(`Unknown uncertainty strategy: ${this.strategy}`);
+    }
+    this.marginThreshold = opts.marginThreshold ?? MARGIN_THRESHOLD;
+    this.entropyThreshold = opts.entropyThreshold ?? ENTROPY_THRESHOLD;
+    this.minTrustedLabels = opts.minTrustedLabels ?? MIN_TRUSTED_LABELS;
+    this.now = opts.now ?? Date.now;
+
+    this.day = null;             // dayKey of the running budget
+    this.spent = 0;              // requests made on that day
+    this.lastQueryAt = -Infinity;
+    this.lastQuery = null;
+    this.counts = Object.fromEntries(REASONS.map(r => [r, 0]));
+    this.skipped = 0;            // wanted a label, budget or interval said no
+  }
+
+  /**
+   * Uncertainty of a vote under the configured strategy.
+   * @param {number[]} probabilities
+   * @returns {{score:number, uncertain:boolean}} score: margin or entropy
+   */
+  uncertainty(probabilities) {
+    if (this.strategy === 'entropy') {
+      const score = normalizedEntropy(probabilities);
+      return { score, uncertain: score >= this.entropyThreshold };
+    }
+    const score = margin(probabilities);
+    return { score, uncertain: score <= this.marginThreshold };
+  }
+
+  /**
+   * Decide whether to ask for a label on this prediction.
+   * @param {object} result WeightedVoter.vote() output
+   * @param {{tabId?:string|number, drift?:object, labelledCount?:number}}
+   *        [context] drift: a covariate-drift signal for the tab, if one
+   *        was just raised; labelledCount: WeightedVoter.labelledCount
+   * @returns {{ts:number, tabId:*, reason:string, score:number|null}|null}
+   *          the request to make (budget already spent), or null
+   */
+  consider(result, context = {}) {
+    let reason = null;
+    let score = null;
+    if (context.drift) {
+      reason = 'drift';
+    } else if ((context.labelledCount ?? 0) >= this.minTrustedLabels &&
+               (result.mspcVote === 2) !== (result.hatOriginal === 2)) {
+      reason = 'disagreement';
+    } else if (result.probabilities?.length) {
+      const u = this.uncertainty(result.probabilities);
+      if (u.uncertain) {
+        reason = 'uncertain';
+        score = u.score;
+      }
+    }
+    return reason ? this._request(reason, score, context.tabId) : null;
+  }
+
+  /**
+   * Ask for a label because the inputs drifted, with no prediction at hand.
+   * @param {{tabId?:string|number}} signal CovariateDriftMonitor signal
+   */
+  considerDrift(signal) {
+    return this._request('drift', null, signal.tabId);
+  }
+
+  _request(reason, score, tabId = null) {
+    const ts = this.now();
+    this._rollDay(ts);
+    if (this.spent >= this.dailyBudget || ts - this.lastQueryAt < this.minIntervalMs) {
+      this.skipped++;
+      return null;
+    }
+    this.spent++;
+    this.lastQueryAt = ts;
+    this.counts[reason]++;
+    this.lastQuery = { ts, tabId, reason, score };
+    return { ...this.lastQuery };
+  }
+
+  _rollDay(ts) {
+    const day = dayKey(ts);
+    if (day !== this.day) {
+      this.day = day;
+      this.spent = 0;
+    }
+  }
+
+  /** Budget left today */
+  remaining() {
+    this._rollDay(this.now());
+    return Math.max(0, this.dailyBudget - this.spent);
+  }
+
+  getStatus() {
+    return {
+      strategy: this.strategy,
+      dailyBudget: this.dailyBudget,
+      remaining: this.remaining(),
+      counts: { ...this.counts },
+      skipped: this.skipped,
+      lastQuery: this.lastQuery
+    };
+  }
+
+  toJSON() {
+    return {
+      dailyBudget: this.dailyBudget,
+      minIntervalMs: this.minIntervalMs,
+      strategy: this.strategy,
+      marginThreshold: this.marginThreshold,
+      entropyThreshold: this.entropyThreshold,
+      minTrustedLabels: this.minTrustedLabels,
+      day: this.day,
+      spent: this.spent,
+      lastQueryAt: Number.isFinite(this.lastQueryAt) ? this.lastQueryAt : null,
+      lastQuery: this.lastQuery,
+      counts: this.counts,
+      skipped: this.skipped
+    };
+  }
+
+  static fromJSON(data, opts = {}) {
+    const policy = new QueryPolicy({ ...data, ...opts });
+    policy.day = data.day ?? null;
+    policy.spent = data.spent ?? 0;
+    policy.lastQueryAt = data.lastQueryAt ?? -Infinity;
+    policy.lastQuery = data.lastQuery ?? null;
+    policy.counts = { ...policy.counts, ...data.counts };
+    policy.skipped = data.skipped ?? 0;
+    return policy;
+  }
+}
@@ -0,0 +1,152 @@
+'use strict';
+
+/* ---------------------------------------------------------
+   Online stacking meta-learner for the MSPC + HAT ensemble.
+
+   A multinomial logistic regression, trained by SGD on user
+   feedback, that maps the base detectors' outputs (MSPC T²/UCL,
+   HAT class probabilities) and a few context features to a
+   distribution over productive / non-productive / overuse.
+--------------------------------------------------------- */
+
+// Configuration
+const LEARNING_RATE = 0.05;
+const L2_PENALTY    = 1e-3;
+const MIN_UPDATES   = 20;     // feedbacks before the meta-model is trusted
+const N_CLASSES     = 3;
+
+// Context features taken from the FeatureEngineer vector (see FEATURE_LAYOUT)
+const DEFAULT_CONTEXT = [
+  { index: 4,  name: 'interactionFreq' },
+  { index: 5,  name: 'visible' },
+  { index: 12, name: 'timeSinceLast' },
+  { index: 15, name: 'focusRatio' }
+];
+
+export default class StackingCombiner {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.learningRate=0.05]
+   * @param {number} [opts.l2=0.001]          L2 penalty (bias excluded)
+   * @param {number} [opts.minUpdates=20]     updates before isReady()
+   * @param {{index:number,name:string}[]} [opts.context] feature-vector context inputs
+   * @param {string[]} [opts.classLabels]
+   */
+  constructor(opts = {}) {
+    this.learningRate = opts.learningRate ?? LEARNING_RATE;
+    this.l2 = opts.l2 ?? L2_PENALTY;
+    this.minUpdates = opts.minUpdates ?? MIN_UPDATES;
+    this.context = opts.context ?? DEFAULT_CONTEXT;
+    this.classLabels = opts.classLabels ?? ['productive', 'non-productive', 'overuse'];
+
+    this.featureNames = [
+      'bias',
+      'mspcT2Ratio',          // log(1 + T²/UCL), 0 until the UCL exists
+      'mspcSignal',
+      'hatP0', 'hatP1', 'hatP2',
+      ...this.context.map(c => c.name)
+    ];
+
+    // one weight row per class, all zero ⇒ uniform until trained
+    this.weights = Array.from({ length: N_CLASSES },
+      () => new Float64Array(this.featureNames.length));
+    this.updates = 0;
+  }
+
+  /**
+   * Assemble the meta-feature vector.
+   * @param {{t2:number, ucl:number, signal:boolean}} mspcOut charted statistic
+   *        (T², MEWMA or MCUSUM) and its control limit
+   * @param {number[]} hatProbabilities length-3 class distribution
+   * @param {number[]} feat FeatureEngineer vector (context source)
+   * @returns {Float64Array}
+   */
+  buildInput(mspcOut, hatProbabilities, feat) {
+    const ratio = Number.isFinite(mspcOut.ucl) && mspcOut.ucl > 0 && Number.isFinite(mspcOut.t2)
+      ? Math.log1p(Math.max(mspcOut.t2, 0) / mspcOut.ucl)
+      : 0;
+    const ctx = this.context.map(c => {
+      const v = feat?.[c.index];
+      return Number.isFinite(v) ? v : 0;
+    });
+    return Float64Array.from([
+      1,
+      ratio,
+      mspcOut.signal ? 1 : 0,
+      ...hatProbabilities.slice(0, N_CLASSES),
+      ...ctx
+    ]);
+  }
+
+  /** Softmax class distribution for a meta-feature vector */
+  predictProba(x) {
+    const logits = this.weights.map(w => {
+      let z = 0;
+      for (let j = 0; j < x.length; j++) z += w[j] * x[j];
+      return z;
+    });
+    const max = Math.max(...logits);
+    const e = logits.map(z => Math.exp(z - max));
+    const sum = e.reduce((a, b) => a + b, 0);
+    return e.map(v => v / sum);
+  }
+
+  /**
+   * One SGD step on the cross-entropy loss.
+   * @param {Float64Array} x meta-feature vector from buildInput()
+   * @param {number} trueClass 0|1|2
+   */
+  update(x, trueClass) {
+    const p = this.predictProba(x);
+    for (let c = 0; c < N_CLASSES; c++) {
+      const g = p[c] - (c === trueClass ? 1 : 0);
+      const w = this.weights[c];
+      for (let j = 0; j < x.length; j++) {
+        const reg = j === 0 ? 0 : this.l2 * w[j];
+        w[j] -= this.learningRate * (g * x[j] + reg);
+      }
+    }
+    this.updates++;
+  }
+
+  /** Enough feedback seen for the meta-model to replace the linear vote */
+  isReady() {
+    return this.updates >= this.minUpdates;
+  }
+
+  /**
+   * Learned coefficients, keyed by class label then input name.
+   * @returns {{updates:number, ready:boolean, coefficients:object}}
+   */
+  getCoefficients() {
+    const coefficients = {};
+    this.weights.forEach((w, c) => {
+      coefficients[this.classLabels[c]] = Object.fromEntries(
+        this.featureNames.map((name, j) => [name, w[j]])
+      );
+    });
+    return { updates: this.updates, ready: this.isReady(), coefficients };
+  }
+
+  toJSON() {
+    return {
+      learningRate: this.learningRate,
+      l2: this.l2,
+      minUpdates: this.minUpdates,
+      context: this.context,
+      classLabels: this.classLabels,
+      weights: this.weights.map(w => Array.from(w)),
+      updates: this.updates
+    };
+  }
+
+  static fromJSON(data) {
+    const sc = new StackingCombiner(data);
+    if (data.weights?.length === N_CLASSES &&
+        data.weights[0].length === sc.featureNames.length) {
+      sc.weights = data.weights.map(w => Float64Array.from(w));
+      sc.updates = data.updates ?? 0;
+    }
+    return sc;
+  }
+}
@@ -1,13 +1,24 @@
 'use strict';
 
-import HoeffdingTree from './models/hoeffding-tree.js';
-import { MSPC } from './models/mspc.js';
+import HoeffdingTree from '../models/hoeffding-tree.js';
+import { MSPC } from '../models/mspc.js';
+import StackingCombiner from './stacking-combiner.js';
+import ConfidenceCalibrator from './calibration.js';
 
 // Configuration
 const INITIAL_MSPC_WEIGHT = 2.0;
 const INITIAL_HAT_WEIGHT  = 1.0;
 const ACC_HISTORY_LENGTH  = 200;  // Number of recent predictions to track
 const FEEDBACK_BATCH_SIZE  = 50;  // How often to recompute weights
+const N_CLASSES = 3;              // productive, non-productive, overuse
+const SCORING_MODES = ['binary', 'multiclass'];
+const COMBINERS = ['linear', 'stacking'];
+const CALIBRATION_METHODS = ['none', 'platt', 'isotonic'];
+const WEIGHTING_RULES = ['batch', 'hedge', 'dwm'];
+const DEFAULT_DECAY   = 0.9;   // β: multiplicative penalty per loss
+const MIN_WEIGHT_SHARE = 0.05; // floor so a member can recover after drift
+const DWM_PERIOD      = 1;     // DWM: instances between weight updates
+const TRAJECTORY_LENGTH = 500; // weight snapshots kept for charting
 
 export default class WeightedVoter {
   constructor(opts = {}) {
@@ -22,10 +33,57 @@ export default class WeightedVoter {
     this.tree = opts.tree;   // instance of HoeffdingTree
     this.mspc = opts.mspc;   // instance of MSPC
 
+    // clock for weight-trajectory timestamps (injectable for replays)
+    this.now = opts.now ?? Date.now;
+
+    // 'binary': overuse (2) vs not (1), HAT's productive folded into 1
+    // 'multiclass': all three classes scored, MSPC only speaks to overuse
+    this.scoring = opts.scoring ?? 'binary';
+    if (!SCORING_MODES.includes(this.scoring)) {
+        throw new Error(`scoring must be one of ${SCORING_MODES.join(', ')}`);
+    }
+
+    // 'linear': fixed weights rescaled by accuracy (below)
+    // 'stacking': logistic meta-model over both detectors once it has enough
+    //             feedback; the linear vote is used until then
+    this.combiner = opts.combiner ?? 'linear';
+    if (!COMBINERS.includes(this.combiner)) {
+        throw new Error(`combiner must be one of ${COMBINERS.join(', ')}`);
+    }
+    this.stacker = this.combiner === 'stacking'
+      ? (opts.stacker ?? new StackingCombiner(opts.stackingOpts))
+      : null;
+
+    // Maps the raw top-class score to P(vote correct), fitted on feedback
+    this.calibration = opts.calibration ?? 'platt';
+    if (!CALIBRATION_METHODS.includes(this.calibration)) {
+        throw new Error(`calibration must be one of ${CALIBRATION_METHODS.join(', ')}`);
+    }
+    this.calibrator = this.calibration === 'none'
+      ? null
+      : (opts.calibrator ?? new ConfidenceCalibrator({ ...opts.calibrationOpts, method: this.calibration }));
+
     // Voting weights
     this.wMspc = opts.initialMspcWeight ?? INITIAL_MSPC_WEIGHT;
     this.wHat  = opts.initialHatWeight  ?? INITIAL_HAT_WEIGHT;
 
+    // How weights follow feedback:
+    // 'batch': accuracy-proportional rescale every FEEDBACK_BATCH_SIZE feedbacks
+    // 'hedge': w ← w·β^loss after every labelled instance
+    // 'dwm'  : Dynamic Weighted Majority, erring members ×β every dwmPeriod
+    this.weighting = opts.weighting ?? 'batch';
+    if (!WEIGHTING_RULES.includes(this.weighting)) {
+        throw new Error(`weighting must be one of ${WEIGHTING_RULES.join(', ')}`);
+    }
+    this.decay = opts.decay ?? DEFAULT_DECAY;
+    if (!(this.decay > 0 && this.decay < 1)) {
+        throw new Error('decay must be in (0, 1)');
+    }
+    this.minWeightShare = opts.minWeightShare ?? MIN_WEIGHT_SHARE;
+    this.dwmPeriod = opts.dwmPeriod ?? DWM_PERIOD;
+    this.labelledCount = 0;
+    this.weightTrajectory = [];
+
     // Accuracy histories
     this.mspcHistory = [];
     this.hatHistory  = [];
@@ -38,60 +96,271 @@ export default class WeightedVoter {
    * Perform weighted voting on a new observation.
    * @param {Float64Array} mspcVector 6-dim vector for MSPC
    * @param {number[]} feat          Feature vector for HAT
-   * @returns {object} { vote: 0|1|2, confidence: number }
+   * @returns {object} { vote: 0|1|2, confidence: number, rawConfidence: number,
+   *                     probabilities: number[3], mspcState, mspcAlarm, … };
+   *                     `confidence` is calibrated, `mspcState` { signal, stat,
+   *                     limit } is what handleFeedback() scores MSPC on later,
+   *                     `mspcAlarm` is the MSPC alarm record (with variable
+   *                     contributions) when MSPC signalled, else null
    */
   vote(mspcVector, feat) {
     // 1. MSPC signal → binary: overuse (2) or not (0/1)
     const isSignal = this.mspc.ingest(mspcVector);
-    const mspcVote = isSignal ? 2 : 1;  // non-productive if no signal
+    const mspcState = { signal: isSignal, stat: this.mspc.lastStat, limit: this.mspc.limit };
     // 2. HAT prediction
     const hatOut = this.tree.predict(feat);
-    const hatVote = hatOut.prediction;         // 0,1,2
+    const result = this._combine(mspcState, hatOut, feat);
+    result.mspcState = mspcState;
+    const rawConfidence = result.confidence;
+    result.confidence = this.calibrator ? this.calibrator.calibrate(rawConfidence) : rawConfidence;
+    result.rawConfidence = rawConfidence;
+    result.mspcAlarm = isSignal ? this.mspc.lastAlarm : null;
+    return result;
+  }
+
+  /** Steps 3–5 of vote(), shared with handleFeedback() (no side effects) */
+  _combine(mspcState, hatOut, feat) {
+    const isSignal = mspcState.signal;
+    const mspcVote = isSignal ? 2 : 1;  // non-productive if no signal
+    const hatOriginal = hatOut.prediction;     // 0,1,2
     const hatConf = typeof hatOut.confidence === 'number' ? hatOut.confidence : 1.0;        // [0..1]
+    const hatProbabilities = this._hatDistribution(hatOut, hatOriginal, hatConf);
 
     const hatVoteRemapped = (hatOriginal === 0 ? 1 : hatOriginal);
 
     // 3. Compute weighted scores per class
-    const scores = { 1: 0, 2: 0 };
+    const scores = this.scoring === 'multiclass'
+      ? this._multiclassScores(isSignal, hatProbabilities)
+      : this._binaryScores(mspcVote, hatVoteRemapped, hatConf);
+
+    // 4. Determine combined vote (first class wins ties, as before)
+    const total = this.wMspc + this.wHat;
+    let probabilities = scores.map(s => (total > 0 ? s / total : 0));
+    let combinedBy = 'linear';
+    if (this.stacker?.isReady()) {
+      probabilities = this._stackedProbabilities(mspcState, hatProbabilities, feat);
+      combinedBy = 'stacking';
+    }
+    let voteClass = this.scoring === 'multiclass' ? 0 : 1;
+    for (let c = voteClass + 1; c < N_CLASSES; c++) {
+      if (probabilities[c] > probabilities[voteClass]) voteClass = c;
+    }
+    const combinedConf = probabilities[voteClass];
+
+    // 5. Return vote
+    return {
+      vote: voteClass,
+      confidence: combinedConf,
+      probabilities,
+      scoring: this.scoring,
+      combinedBy,
+      mspcVote,
+      hatOriginal,
+      hatVoteRemapped,
+      hatProbabilities
+    };
+  }
+
+  /** Overuse (2) vs not (1); HAT casts one vote at its own confidence */
+  _binaryScores(mspcVote, hatVoteRemapped, hatConf) {
+    const scores = new Array(N_CLASSES).fill(0);
     // MSPC votes: treat its vote with full confidence = 1
     scores[mspcVote] += this.wMspc * 1.0;
     // HAT votes: use classifier’s own confidence
     scores[hatVoteRemapped] += this.wHat * hatConf;
+    return scores;
+  }
 
-    // 4. Determine combined vote
-    const voteClass = scores[2] > scores[1] ? 2 : 1;
-    const combinedConf = scores[voteClass] / (this.wMspc + this.wHat);
+  /**
+   * HAT spreads its weight over all three classes by its class distribution.
+   * MSPC is a detector, not a classifier: a signal is evidence for overuse,
+   * no signal is evidence against it, shared between productive and
+   * non-productive in the proportion HAT sees them so MSPC does not pick
+   * between the two.
+   */
+  _multiclassScores(isSignal, hatProbabilities) {
+    const scores = hatProbabilities.map(p => this.wHat * p);
+    if (isSignal) {
+      scores[2] += this.wMspc;
+    } else {
+      const p0 = hatProbabilities[0];
+      const p1 = hatProbabilities[1];
+      const share0 = p0 + p1 > 0 ? p0 / (p0 + p1) : 0.5;
+      scores[0] += this.wMspc * share0;
+      scores[1] += this.wMspc * (1 - share0);
+    }
+    return scores;
+  }
 
-    // 5. Return vote
-    return { vote: voteClass, confidence: combinedConf, mspcVote, hatOriginal, hatVoteRemapped };
+  /** Meta-model distribution; binary scoring folds productive into 1 */
+  _stackedProbabilities(mspcState, hatProbabilities, feat) {
+    const x = this.stacker.buildInput(
+      { t2: mspcState.stat, ucl: mspcState.limit, signal: mspcState.signal },
+      hatProbabilities,
+      feat
+    );
+    const p = this.stacker.predictProba(x);
+    return this.scoring === 'multiclass' ? p : [0, p[0] + p[1], p[2]];
+  }
+
+  /**
+   * Learned stacking coefficients (null when the linear combiner is used).
+   * @returns {object|null}
+   */
+  getCoefficients() {
+    return this.stacker ? this.stacker.getCoefficients() : null;
+  }
+
+  /**
+   * HAT class distribution; an untrained tree or empty leaf reports all
+   * zeros, which counts as no opinion (uniform) so the combined scores
+   * still sum to one
+   */
+  _hatDistribution(hatOut, cls, conf) {
+    const p = hatOut.probabilities;
+    if (!p) return this._oneHot(cls, conf);
+    return p.reduce((s, v) => s + v, 0) > 0 ? p : new Array(N_CLASSES).fill(1 / N_CLASSES);
+  }
+
+  /** Fallback distribution when a tree does not report probabilities */
+  _oneHot(cls, conf) {
+    const p = new Array(N_CLASSES).fill((1 - conf) / (N_CLASSES - 1));
+    p[cls] = conf;
+    return p;
   }
 
   /**
    * Process true label feedback. Call this when user provides true class.
    * This updates both model stats and voting weights periodically.
-   * @param {Float64Array} mspcVector
+   * MSPC is scored on the verdict it gave at vote time: its observation
+   * is already in the chart, ingesting it again would count it twice.
+   * @param {{signal:boolean, stat:number, limit:number}} mspcState vote().mspcState
    * @param {number[]} feat
    * @param {number} trueClass 0|1|2
+   * @returns {{vote:number, confidence:number, rawConfidence:number, correct:boolean,
+   *            mspcVote:number, hatPrediction:number, mspcCorrect:boolean,
+   *            hatCorrect:boolean}} the ensemble's and members' votes before learning
    */
-  handleFeedback(mspcVector, feat, trueClass) {
+  handleFeedback(mspcState, feat, trueClass) {
     // 1. Model updates
     // 1a. MSPC: treat signal as binary outcome
-    const lastSignal = this.mspc.ingest(mspcVector);
-    const mspcCorrect = (lastSignal ? 2 : 1) === trueClass;
+    const lastSignal = mspcState.signal;
+    // in multiclass mode MSPC is only judged on overuse vs not
+    const mspcCorrect = this.scoring === 'multiclass'
+      ? lastSignal === (trueClass === 2)
+      : (lastSignal ? 2 : 1) === trueClass;
     this._pushHistory(this.mspcHistory, mspcCorrect);
 
-    // 1b. HAT: train with feedback
-    this.tree.train(feat, trueClass, { classValue: trueClass, confidence: 1 });
-    const hatPred = this.tree.predict(feat).prediction;
-    const hatCorrect = hatPred === trueClass;
+    // 1b. HAT: score before training so accuracy, the meta-model and the
+    //     calibrator all see what the ensemble would have said
+    const hatOut = this.tree.predict(feat);
+    const hatCorrect = hatOut.prediction === trueClass;
     this._pushHistory(this.hatHistory, hatCorrect);
+    const before = this._combine(mspcState, hatOut, feat);
+    const calibrated = this.calibrator ? this.calibrator.calibrate(before.confidence) : before.confidence;
+    this.tree.train(feat, trueClass, { classValue: trueClass, confidence: 1 });
 
-    // 2. Update weights every batch
-    this.feedbackCount++;
-    if (this.feedbackCount >= FEEDBACK_BATCH_SIZE) {
-      this._recomputeWeights();
-      this.feedbackCount = 0;
+    // 1c. Stacking meta-model
+    if (this.stacker) {
+      const x = this.stacker.buildInput(
+        { t2: mspcState.stat, ucl: mspcState.limit, signal: lastSignal },
+        before.hatProbabilities,
+        feat
+      );
+      this.stacker.update(x, trueClass);
     }
+
+    // 1d. Calibration on the pre-update vote
+    this.calibrator?.update(before.confidence, before.vote === trueClass);
+
+    // 2. Update weights
+    this.labelledCount++;
+    if (this.weighting === 'hedge') {
+      // HAT's loss is soft when it reports a distribution
+      const hatLoss = hatOut.probabilities
+        ? 1 - (hatOut.probabilities[trueClass] ?? 0)
+        : (hatCorrect ? 0 : 1);
+      this._hedgeUpdate(mspcCorrect ? 0 : 1, hatLoss);
+    } else if (this.weighting === 'dwm') {
+      if (this.labelledCount % this.dwmPeriod === 0) {
+        this._dwmUpdate(mspcCorrect, hatCorrect);
+      }
+    } else {
+      this.feedbackCount++;
+      if (this.feedbackCount >= FEEDBACK_BATCH_SIZE) {
+        this._recomputeWeights();
+        this.feedbackCount = 0;
+      }
+    }
+    this._recordWeights();
+
+    return {
+      vote: before.vote,
+      confidence: calibrated,
+      rawConfidence: before.confidence,
+      correct: before.vote === trueClass,
+      mspcVote: before.mspcVote,
+      hatPrediction: before.hatOriginal,
+      mspcCorrect,
+      hatCorrect
+    };
+  }
+
+  /**
+   * Hedge / multiplicative weights: w_i ← w_i · β^loss_i, then rescale to
+   * the previous total and apply the minWeightShare floor.
+   */
+  _hedgeUpdate(mspcLoss, hatLoss) {
+    const totalW = this.wMspc + this.wHat;
+    const m = this.wMspc * Math.pow(this.decay, mspcLoss);
+    const h = this.wHat * Math.pow(this.decay, hatLoss);
+    [this.wMspc, this.wHat] = this._floorShares(m, h, totalW);
+  }
+
+  /**
+   * Dynamic Weighted Majority (Kolter & Maloof): members that erred are
+   * multiplied by β and weights are normalised so the best member has 1.
+   * With only two fixed members nothing is removed; the θ threshold acts
+   * as a floor instead (minWeightShare of the total).
+   */
+  _dwmUpdate(mspcCorrect, hatCorrect) {
+    let m = this.wMspc * (mspcCorrect ? 1 : this.decay);
+    let h = this.wHat * (hatCorrect ? 1 : this.decay);
+    const max = Math.max(m, h);
+    m /= max;
+    h /= max;
+    [this.wMspc, this.wHat] = this._floorShares(m, h, m + h);
+  }
+
+  /** Rescale two weights to `totalW`, keeping each above the share floor */
+  _floorShares(m, h, totalW) {
+    const sum = m + h || 1;
+    let sm = m / sum;
+    sm = Math.min(Math.max(sm, this.minWeightShare), 1 - this.minWeightShare);
+    return [sm * totalW, (1 - sm) * totalW];
+  }
+
+  /** Append the current weights to the (bounded) trajectory */
+  _recordWeights() {
+    this.weightTrajectory.push({
+      ts: this.now(),
+      n: this.labelledCount,
+      wMspc: this.wMspc,
+      wHat: this.wHat
+    });
+    if (this.weightTrajectory.length > TRAJECTORY_LENGTH) this.weightTrajectory.shift();
+  }
+
+  /**
+   * Weight history for charting, oldest first.
+   * @returns {{rule:string, decay:number, points:{ts:number,n:number,wMspc:number,wHat:number}[]}}
+   */
+  getWeightTrajectory() {
+    return {
+      rule: this.weighting,
+      decay: this.decay,
+      points: this.weightTrajectory.map(p => ({ ...p }))
+    };
   }
 
   /** Push boolean accuracy into rolling history */
@@ -113,6 +382,65 @@ export default class WeightedVoter {
     this.wHat  = (aH / sum) * totalW;
   }
 
+  /**
+   * Serialise weights, accuracy histories and both member models.
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      wMspc: this.wMspc,
+      wHat: this.wHat,
+      mspcHistory: [...this.mspcHistory],
+      hatHistory: [...this.hatHistory],
+      feedbackCount: this.feedbackCount,
+      weighting: this.weighting,
+      decay: this.decay,
+      minWeightShare: this.minWeightShare,
+      dwmPeriod: this.dwmPeriod,
+      labelledCount: this.labelledCount,
+      weightTrajectory: this.weightTrajectory,
+      scoring: this.scoring,
+      combiner: this.combiner,
+      stacker: this.stacker ? this.stacker.toJSON() : null,
+      calibration: this.calibration,
+      calibrator: this.calibrator ? this.calibrator.toJSON() : null,
+      tree: this.tree.toJSON(),
+      mspc: this.mspc.toJSON()
+    };
+  }
+
+  /**
+   * Rebuild a voter (and its HoeffdingTree / MSPC) from toJSON() output.
+   * @param {object} data
+   * @param {{now?:function():number, random?:function():number}} [deps] clock / PRNG
+   *        handed to the voter and both models
+   * @returns {WeightedVoter}
+   */
+  static fromJSON(data, deps = {}) {
+    const voter = new WeightedVoter({
+      tree: HoeffdingTree.fromJSON(data.tree, deps),
+      mspc: MSPC.fromJSON(data.mspc, deps),
+      now: deps.now,
+      initialMspcWeight: data.wMspc,
+      initialHatWeight: data.wHat,
+      scoring: data.scoring,
+      weighting: data.weighting,
+      decay: data.decay,
+      minWeightShare: data.minWeightShare,
+      dwmPeriod: data.dwmPeriod,
+      combiner: data.combiner,
+      stacker: data.stacker ? StackingCombiner.fromJSON(data.stacker) : undefined,
+      calibration: data.calibration,
+      calibrator: data.calibrator ? ConfidenceCalibrator.fromJSON(data.calibrator) : undefined
+    });
+    voter.mspcHistory = [...(data.mspcHistory ?? [])];
+    voter.hatHistory = [...(data.hatHistory ?? [])];
+    voter.feedbackCount = data.feedbackCount ?? 0;
+    voter.labelledCount = data.labelledCount ?? 0;
+    voter.weightTrajectory = (data.weightTrajectory ?? []).map(p => ({ ...p }));
+    return voter;
+  }
+
   /**
    * If combined vote is “overuse” (2), dispatch notification.
    * Call this in your service-worker message handler.
@@ -1,8 +1,12 @@
-import FeatureEngineer from '../analysis/feature-engineer.js';
+import FeatureEngineer, { FEATURE_COUNT, FEATURE_LAYOUT } from '../analysis/feature-engineer.js';
 import WeightedVoter from '../analysis/weighted-voting.js';
 import HoeffdingTree from '../models/hoeffding-tree.js';
 import { MSPC } from '../models/mspc.js';
 import MetricsCollector from '../analysis/metrics.js';
+import PrequentialEvaluator from '../analysis/prequential.js';
+import DriftJournal from '../analysis/drift-journal.js';
+import QueryPolicy from '../analysis/query-policy.js';
+import TelemetryRecorder, { RECORDED_TYPES } from './telemetry-recorder.js';
 
 // ── Promisified Chrome APIs ──────────────────────────────────────────────
 function createNotificationAsync(id, options) {
@@ -44,76 +48,152 @@ function clearAlarmAsync(name) {
 
 const MAX_SESSIONS = 100; // Maximum number of session entries to retain
 
-// Constants for notification scheduling
-const NOTIFICATION_SCHEDULE = [
-  { threshold: 1000, interval: 15 },    // 15 minutes
-  { threshold: 2000, interval: 30 },    // 30 minutes  
-  { threshold: 3000, interval: 60 },    // 1 hour
-  { threshold: 4000, interval: 240 },   // 4 hours
-  { threshold: 5000, interval: 360 },   // 6 hours
-  { threshold: 6000, interval: 720 },   // 12 hours
-  { threshold: 7000, interval: 840 },   // 14 hours
-  { threshold: 8000, interval: 1440 },  // 1 day
-  { threshold: 9000, interval: 4320 },  // 3 days
-  { threshold: 10000, interval: 7200 }, // 5 days
-  { threshold: 11000, interval: 10080 } // 1 week (permanent)
-];
-
-const ALARM_NAME = 'feedbackNotification';
+// Feedback requests come from the query policy (query-policy.js); the alarm
+// of the old fixed schedule is only cleared on startup
+const LEGACY_FEEDBACK_ALARM = 'feedbackNotification';
 const OVERUSE_ALARM = 'overuseDetection';
 
+// Model checkpointing: debounced after updates, plus a periodic alarm because
+// the MV3 worker can be suspended before a debounce timer fires
+const CHECKPOINT_ALARM = 'modelCheckpoint';
+const CHECKPOINT_PERIOD_MINUTES = 5;
+const CHECKPOINT_DEBOUNCE_MS = 15000;
+const MODEL_CHECKPOINT_VERSION = 1;
+
+// Must match TRANSPORT_PORT_NAME in content/report-transport.js
+const TELEMETRY_PORT_NAME = 'checkmate-telemetry';
+const MAX_TELEMETRY_STREAMS = 500; // page streams remembered for de-duplication
+const TELEMETRY_STREAMS_KEY = 'telemetryStreams'; // storage.session copy
+const MAX_VOTE_CONTEXTS = 100;     // tabs whose last vote inputs are kept for feedback
+const VOTE_CONTEXTS_KEY = 'voteContexts'; // storage.session copy
+
+// MSPC chart: overuse is usually a slow sustained shift, which MEWMA
+// accumulates where a Shewhart T² only reacts to single spikes
+const MSPC_OPTIONS = { chart: 'mewma', lambda: 0.1 };
+
 // System state
 let systemState = {
   isTracking: true,
   totalInteractions: 0,
-  currentNotificationLevel: 0,
   lastProcessingTime: 0,
-  systemInitialized: false
+  systemInitialized: false,
+  isRecording: false          // opt-in raw telemetry log (see telemetry-recorder.js)
 };
 
+// Resolves once the current initializeSystem() run has finished
+let systemReady = Promise.resolve();
+
+// Last processed sequence number per content-script stream, in LRU order.
+// Mirrored to storage.session so a restarted worker still drops resends.
+const telemetryStreams = new Map();
+let telemetryStreamsLoaded = null;
+
+// Envelopes from all ports, processed one at a time
+let telemetryQueue = Promise.resolve();
+
+// Inputs of the latest vote per tab, replayed into the voter on feedback.
+// Mirrored to storage.session: the label may arrive after a worker restart.
+const lastVoteContexts = new Map();
+
+// calibratedAt of the MSPC Phase I baseline last written to storage
+let savedBaselineAt = null;
+
+// Pending debounced checkpoint and whether models changed since the last one
+let checkpointTimer = null;
+let modelsDirty = false;
+
 // Core system components
 let featureEngineer = null;
 let weightedVoter = null;
 let metricsCollector = null;
 let aucWorker = null;
 let metricsWorker = null;
-
-const FEEDBACK_LABELS = {
-  0: 'productive',       // green “Productive”
-  1: 'non-productive',   // gray  “Non-productive”
-  2: 'overuse'           // red   “Overuse”
+const telemetryRecorder = new TelemetryRecorder();
+let driftJournal = new DriftJournal({ featureNames: FEATURE_LAYOUT });
+let queryPolicy = new QueryPolicy();
+
+// Class index ↔ label, as in MetricsCollector
+const CLASS_LABELS = ['productive', 'non-productive', 'overuse'];
+
+// Chrome shows at most two buttons per notification, so the three classes
+// are asked in two steps: Productive / Not productive, then – only for
+// "Not productive" – Just unproductive / Overuse.
+const FEEDBACK_BUTTONS = {
+  feedback: { 0: 'productive' },                      // 1 → follow-up
+  'feedback-detail': { 0: 'non-productive', 1: 'overuse' }
 };
 
+// notificationId → { kind, tabId }. Mirrored to storage.session because
+// the worker may be suspended before the user clicks.
+const notificationTargets = new Map();
+const NOTIFICATION_TARGETS_KEY = 'notificationTargets';
+
+async function trackNotification(notificationId, target) {
+  notificationTargets.set(notificationId, target);
+  await saveNotificationTargets();
+}
+
+async function takeNotificationTarget(notificationId) {
+  if (!notificationTargets.has(notificationId)) {
+    try {
+      const result = await chrome.storage.session.get(NOTIFICATION_TARGETS_KEY);
+      for (const [id, target] of Object.entries(result[NOTIFICATION_TARGETS_KEY] ?? {})) {
+        if (!notificationTargets.has(id)) notificationTargets.set(id, target);
+      }
+    } catch (error) {
+      console.error('Error loading notification targets:', error);
+    }
+  }
+  const target = notificationTargets.get(notificationId) ?? null;
+  if (notificationTargets.delete(notificationId)) await saveNotificationTargets();
+  return target;
+}
+
+async function saveNotificationTargets() {
+  try {
+    await chrome.storage.session.set({
+      [NOTIFICATION_TARGETS_KEY]: Object.fromEntries(notificationTargets)
+    });
+  } catch (error) {
+    console.error('Error saving notification targets:', error);
+  }
+}
+
+chrome.notifications.onClosed.addListener(async (notificationId) => {
+  await takeNotificationTarget(notificationId);
+});
+
 chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
-  // Feedback notifications start with 'feedback_'
-  if (notificationId.startsWith('feedback_')) {
-    const classLabel = FEEDBACK_LABELS[buttonIndex];
+  const target = await takeNotificationTarget(notificationId);
+  await clearNotificationAsync(notificationId);
+  if (!target) return;
+
+  if (target.kind === 'feedback' || target.kind === 'feedback-detail') {
+    const classLabel = FEEDBACK_BUTTONS[target.kind][buttonIndex];
     if (classLabel) {
-        // Send the feedback into your SW message pipeline
-        chrome.runtime.sendMessage({
+      // runtime.sendMessage() does not reach this worker's own listener,
+      // so feed the label straight into the message pipeline
+      await handleMessage({
         type: 'USER_FEEDBACK',
         data: {
-            tabId: notificationId.split('_')[1],  // if you embedded tabId in the ID
-            classValue: classLabel,
-            confidence: 1.0
-            }
-        });
+          tabId: target.tabId,
+          classValue: classLabel,
+          confidence: 1.0
+        }
+      }, null, () => {});
+    } else if (target.kind === 'feedback') {
+      await showFeedbackDetailNotification(target.tabId);
     }
-    await clearNotificationAsync(notificationId);
     return;
   }
 
-  // Overuse notifications start with 'overuse_'
-  if (notificationId.startsWith('overuse_')) {
+  if (target.kind === 'overuse') {
     if (buttonIndex === 0) {
       chrome.tabs.create({ url: chrome.runtime.getURL('popup.html?overuse=true') });
     }
     else if (buttonIndex === 1) {
-      await clearNotificationAsync(notificationId);
-      await showFeedbackNotification(notificationId.split('_')[1]);
+      await showFeedbackNotification(target.tabId);
     }
-    await clearNotificationAsync(notificationId);
-    return;
   }
 });
 
@@ -148,7 +228,10 @@ const STORAGE_KEYS = {
   ML_MODELS: 'mlModels',
   METRICS_DATA: 'metricsData',
   SESSION_DATA: 'sessionData',
-  SESSION_BUFFER: 'sessionBuffer'
+  SESSION_BUFFER: 'sessionBuffer',
+  MSPC_BASELINE: 'mspcBaseline',
+  DRIFT_JOURNAL: 'driftJournal',
+  QUERY_POLICY: 'queryPolicy'
 };
 
 /**
@@ -160,29 +243,41 @@ async function initializeSystem() {
 
     // Load saved state
     await loadSystemState();
+    await loadDriftJournal();
+    await loadQueryPolicy();
 
-    // Initialize ML components
-    const hoeffdingTree = new HoeffdingTree({ 
-      nFeatures: 15,
-      nClasses: 3,
-      classLabels: ['productive', 'non-productive', 'overuse']
-    });
-    
-    const mspc = new MSPC(6);
-    
-    featureEngineer = new FeatureEngineer();
-    weightedVoter = new WeightedVoter({ 
-      tree: hoeffdingTree, 
-      mspc: mspc 
-    });
-    
     metricsCollector = new MetricsCollector();
 
+    // Restore the last checkpoint first: a fresh MEWMA / MCUSUM chart runs
+    // its ARL simulation, which a checkpoint's stored limit makes redundant
+    if (!(await restoreModels())) {
+      const hoeffdingTree = new HoeffdingTree({ 
+        nFeatures: FEATURE_COUNT,
+        nClasses: 3,
+        classLabels: ['productive', 'non-productive', 'overuse']
+      });
+      
+      const mspc = new MSPC(6, MSPC_OPTIONS);
+      
+      featureEngineer = new FeatureEngineer();
+      weightedVoter = new WeightedVoter({ 
+        tree: hoeffdingTree, 
+        mspc: mspc,
+        scoring: 'multiclass',
+        // feedback is sparse, so adapt on every label rather than in batches
+        weighting: 'hedge'
+      });
+    }
+    await ensureMspcBaseline();
+
     // Initialize web workers
     initWorkers();
 
-    // Set up notification scheduling
-    await setupNotificationSchedule();
+    await clearAlarmAsync(LEGACY_FEEDBACK_ALARM);
+
+    await createAlarmAsync(CHECKPOINT_ALARM, {
+      periodInMinutes: CHECKPOINT_PERIOD_MINUTES
+    });
 
     systemState.systemInitialized = true;
     await saveSystemState();
@@ -196,6 +291,15 @@ async function initializeSystem() {
   }
 }
 
+/**
+ * Run initializeSystem() once any run in progress has finished; systemReady
+ * tracks the latest run, so queued telemetry waits for it
+ */
+function reinitializeSystem() {
+  systemReady = systemReady.then(() => initializeSystem());
+  return systemReady;
+}
+
 /**
  * Handle worker messages
  */
@@ -220,54 +324,21 @@ function handleWorkerMessage(event) {
   }
 }
 
-/**
- * Set up notification scheduling based on interaction count
- */
-async function setupNotificationSchedule() {
-  try {
-    const rawLevel = getCurrentNotificationLevel();
-    const level = Math.min(rawLevel, NOTIFICATION_SCHEDULE.length - 1);
-    const intervalMinutes = NOTIFICATION_SCHEDULE[level].interval;
-
-    await clearAlarmAsync(ALARM_NAME);
-
-    // Clear existing alarms
-    await createAlarmAsync(ALARM_NAME, {
-        delayInMinutes: intervalMinutes,
-        periodInMinutes: intervalMinutes
-    });
-
-    console.log(`📅 Notification schedule set: ${intervalMinutes} minutes`);
-  } catch (error) {
-    console.error('Failed to setup notification schedule:', error);
-  }
-}
-
-/**
- * Get current notification level based on interaction count
- */
-function getCurrentNotificationLevel() {
-  for (let i = NOTIFICATION_SCHEDULE.length - 1; i >= 0; i--) {
-    if (systemState.totalInteractions >= NOTIFICATION_SCHEDULE[i].threshold) {
-      return i;
-    }
-  }
-  return 0; // Default to first level
-}
-
 /**
  * Event Listeners Setup
  */
 
 // Extension installation/startup
+// Loading this script already initialises the system; these events only
+// wait for that run instead of replacing the models under queued telemetry
 chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('Extension installed/updated:', details.reason);
-  await initializeSystem();
+  await systemReady;
 });
 
 chrome.runtime.onStartup.addListener(async () => {
   console.log('Extension startup');
-  await initializeSystem();
+  await systemReady;
 });
 
 // Message handling from content scripts and popup
@@ -276,12 +347,27 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true; // Keep message channel open for async responses
 });
 
+// Telemetry from content scripts arrives over long-lived ports (see
+// content/report-transport.js). Each page numbers its reports; we process them
+// strictly in order – one queue for all ports, so two tabs never interleave
+// inside the models – drop resends we have already handled and ACK
+// cumulatively so the page can release its queue.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== TELEMETRY_PORT_NAME) return;
+
+  port.onMessage.addListener((envelope) => {
+    telemetryQueue = telemetryQueue
+      .then(() => handleTelemetryEnvelope(port, envelope))
+      .catch(error => console.error('Error handling telemetry:', error));
+  });
+});
+
 // Alarm handling for notifications
 chrome.alarms.onAlarm.addListener(async (alarm) => {
-  if (alarm.name === ALARM_NAME) {
-    await showFeedbackNotification();
-  } else if (alarm.name === OVERUSE_ALARM) {
+  if (alarm.name === OVERUSE_ALARM) {
     await handleOveruseDetection();
+  } else if (alarm.name === CHECKPOINT_ALARM) {
+    await saveModels();
   }
 });
 
@@ -304,6 +390,10 @@ async function handleMessage(message, sender, sendResponse) {
   const startTime = performance.now();
 
   try {
+    if (systemState.isRecording && systemState.isTracking && RECORDED_TYPES.includes(message.type)) {
+      await recordTelemetry(message);
+    }
+
     switch (message.type) {
       case 'BATCH_STATS':
         await processBatchStats(message.data, message.mspcVector, sender);
@@ -353,10 +443,43 @@ async function handleMessage(message, sender, sendResponse) {
         sendResponse({ success: true });
         break;
         
+      case 'START_RECORDING':
+        await setRecording(true);
+        sendResponse({ success: true });
+        break;
+
+      case 'STOP_RECORDING':
+        await setRecording(false);
+        sendResponse({ success: true });
+        break;
+
+      case 'EXPORT_RECORDING':
+        sendResponse(await telemetryRecorder.exportJSONL());
+        break;
+
+      case 'CLEAR_RECORDING':
+        await telemetryRecorder.clear();
+        sendResponse({ success: true });
+        break;
+
       case 'GET_SYSTEM_STATUS':
         sendResponse(getSystemStatus());
         break;
         
+      case 'RECALIBRATE_MSPC':
+        sendResponse({ success: true, calibration: recalibrateMspc() });
+        break;
+
+      case 'GET_DRIFT_JOURNAL':
+        sendResponse({
+          entries: driftJournal.getEntries({ since: message.since, limit: message.limit })
+        });
+        break;
+
+      case 'GET_WEIGHT_TRAJECTORY':
+        sendResponse(weightedVoter ? weightedVoter.getWeightTrajectory() : null);
+        break;
+
       case 'SHOW_OVERUSE_NOTIFICATION':
         await showOveruseNotification(message.data);
         break;
@@ -376,6 +499,56 @@ async function handleMessage(message, sender, sendResponse) {
   }
 }
 
+/**
+ * Process one sequenced report from a telemetry port
+ */
+async function handleTelemetryEnvelope(port, envelope) {
+  const { streamId, seq, payload } = envelope || {};
+  if (!streamId || !Number.isInteger(seq) || !payload) return;
+
+  await loadTelemetryStreams();
+  const lastSeq = telemetryStreams.get(streamId) ?? 0;
+  if (seq > lastSeq) {
+    // Reports that woke the worker must not race initialisation
+    await systemReady;
+    // Initialisation failed: leave the report unACKed so the page resends it
+    if (!systemState.systemInitialized) return;
+    await handleMessage(payload, port.sender, () => {});
+
+    telemetryStreams.delete(streamId);          // re-insert → LRU order
+    telemetryStreams.set(streamId, seq);
+    if (telemetryStreams.size > MAX_TELEMETRY_STREAMS) {
+      telemetryStreams.delete(telemetryStreams.keys().next().value);
+    }
+    await saveTelemetryStreams();
+  }
+
+  try {
+    port.postMessage({ type: 'ACK', seq: Math.max(seq, lastSeq) });
+  } catch (error) {
+    // Page navigated away before the ACK – its queue went with it
+  }
+}
+
+function loadTelemetryStreams() {
+  telemetryStreamsLoaded ??= chrome.storage.session.get(TELEMETRY_STREAMS_KEY)
+    .then((result) => {
+      for (const [streamId, seq] of result[TELEMETRY_STREAMS_KEY] ?? []) {
+        if (!telemetryStreams.has(streamId)) telemetryStreams.set(streamId, seq);
+      }
+    })
+    .catch(error => console.error('Error loading telemetry streams:', error));
+  return telemetryStreamsLoaded;
+}
+
+async function saveTelemetryStreams() {
+  try {
+    await chrome.storage.session.set({ [TELEMETRY_STREAMS_KEY]: [...telemetryStreams] });
+  } catch (error) {
+    console.error('Error saving telemetry streams:', error);
+  }
+}
+
 /**
  * Process batch statistics from content scripts
  */
@@ -387,13 +560,6 @@ async function processBatchStats(data, mspcVector, sender) {
     const newInteractions = Object.values(data.interactionCounts).reduce((a, b) => a + b, 0);
     systemState.totalInteractions += newInteractions;
 
-    // Check if notification level should be updated
-    const newLevel = getCurrentNotificationLevel();
-    if (newLevel !== systemState.currentNotificationLevel) {
-      systemState.currentNotificationLevel = newLevel;
-      await setupNotificationSchedule();
-    }
-
     // Process through feature engineering
     const message = {
       type: 'BATCH_STATS',
@@ -402,6 +568,8 @@ async function processBatchStats(data, mspcVector, sender) {
     };
     
     featureEngineer.ingest(message);
+    markModelsDirty();
+    const drift = await handleCovariateDrift();
 
     // Get the processed feature vector
     const session = featureEngineer.sessions.get(String(data.tabID));
@@ -409,20 +577,14 @@ async function processBatchStats(data, mspcVector, sender) {
       // Perform weighted voting
       const mspcVectorArray = mspcVector ? new Float64Array(mspcVector) : new Float64Array(6);
       const votingResult = weightedVoter.vote(mspcVectorArray, session.lastVec);
-
-      // Update metrics
-      metricsCollector.recordVotingAgreement(
-        votingResult.mspcVote,
-        votingResult.hatOriginal,
-        votingResult.vote,
-        1, // ground truth class
-        votingResult.hatscore,
-        votingResult.confidence
-      );
+      await rememberVoteContext(data.tabID, session.lastVec, votingResult);
+      metricsCollector.recordVoteAgreement(votingResult.mspcVote, votingResult.hatOriginal);
+      await saveMspcBaseline();
+      await considerFeedbackRequest(data.tabID, votingResult, drift);
 
       // Check for overuse detection
       if (votingResult.vote === 2) {
-        await scheduleOveruseNotification(votingResult);
+        await scheduleOveruseNotification(data.tabID, votingResult);
       }
 
       // Send results to UI if popup is open
@@ -431,7 +593,7 @@ async function processBatchStats(data, mspcVector, sender) {
         data: {
           tabId: String(data.tabID),
           prediction: votingResult,
-          hatOutput: hatscore,
+          hatOutput: votingResult.hatProbabilities,
           timestamp: Date.now(),
           totalInteractions: systemState.totalInteractions
         }
@@ -454,6 +616,8 @@ async function processFinalStats(data, mspcVector, sender) {
   try {
     const message = { type: 'FINAL_STATS', data, mspcVector };
     featureEngineer.ingest(message);
+    markModelsDirty();
+    const drift = await handleCovariateDrift();
 
     /* ---------- real-time prediction on the final vector ---------- */
     const session = featureEngineer.sessions.get(String(data.tabID));
@@ -462,20 +626,14 @@ async function processFinalStats(data, mspcVector, sender) {
         ? new Float64Array(mspcVector)
         : new Float64Array(6);
       const votingResult = weightedVoter.vote(mspcArr, session.lastVec);
-
-      // Record metrics
-      metricsCollector.recordVotingAgreement(
-        votingResult.mspcVote,
-        votingResult.hatOriginal,
-        votingResult.vote,
-        1,
-        votingResult.hatscore,
-        votingResult.confidence
-      );
+      await rememberVoteContext(data.tabID, session.lastVec, votingResult);
+      metricsCollector.recordVoteAgreement(votingResult.mspcVote, votingResult.hatOriginal);
+      await saveMspcBaseline();
+      await considerFeedbackRequest(data.tabID, votingResult, drift);
 
       // Possible over-use notification
       if (votingResult.vote === 2) {
-        await scheduleOveruseNotification(votingResult);
+        await scheduleOveruseNotification(data.tabID, votingResult);
       }
 
       // Broadcast to UI
@@ -484,7 +642,7 @@ async function processFinalStats(data, mspcVector, sender) {
         data: {
           tabId: String(data.tabID),
           prediction: votingResult,
-          hatOutput: hatscore,
+          hatOutput: votingResult.hatProbabilities,
           timestamp: Date.now(),
           totalInteractions: systemState.totalInteractions
         }
@@ -509,25 +667,93 @@ async function processFinalStats(data, mspcVector, sender) {
   }
 }
 
+/**
+ * Keep what the voter saw for a tab so later feedback can be scored
+ * against (and train on) the same inputs; MSPC is kept as its verdict,
+ * since its observation must not be ingested twice
+ */
+async function rememberVoteContext(tabId, feat, votingResult) {
+  const key = String(tabId);
+  lastVoteContexts.delete(key);                 // re-insert → LRU order
+  lastVoteContexts.set(key, {
+    mspcState: { ...votingResult.mspcState },
+    feat: Array.from(feat)
+  });
+  if (lastVoteContexts.size > MAX_VOTE_CONTEXTS) {
+    lastVoteContexts.delete(lastVoteContexts.keys().next().value);
+  }
+  try {
+    await chrome.storage.session.set({ [VOTE_CONTEXTS_KEY]: [...lastVoteContexts] });
+  } catch (error) {
+    console.error('Error saving vote contexts:', error);
+  }
+}
+
+/** Vote context of a tab, reloaded from storage.session after a restart */
+async function findVoteContext(tabId) {
+  const key = String(tabId);
+  if (!lastVoteContexts.has(key)) {
+    try {
+      const result = await chrome.storage.session.get(VOTE_CONTEXTS_KEY);
+      for (const [id, context] of result[VOTE_CONTEXTS_KEY] ?? []) {
+        if (!lastVoteContexts.has(id)) lastVoteContexts.set(id, context);
+      }
+    } catch (error) {
+      console.error('Error loading vote contexts:', error);
+    }
+  }
+  return lastVoteContexts.get(key) ?? null;
+}
+
+/** Feedback labels arrive as indices or CLASS_LABELS strings */
+function feedbackClassIndex(classValue) {
+  return typeof classValue === 'number' ? classValue : CLASS_LABELS.indexOf(classValue);
+}
+
 /**
  * Handle user feedback for model training
  */
 async function handleUserFeedback(feedbackData) {
   try {
     const { tabId, classValue, confidence = 1.0 } = feedbackData;
+    const trueClass = feedbackClassIndex(classValue);
+    if (trueClass < 0 || trueClass >= CLASS_LABELS.length) return;  // e.g. { trigger: true }
     
     // Add feedback to feature engineer
     featureEngineer.addUserFeedback(tabId, classValue, confidence);
-
-    // Update metrics
-    if (typeof feedbackData.predictedClass !== 'number') {
-        throw new Error('Missing predictedClass in feedbackData');
+    markModelsDirty();
+
+    // Score the ensemble's last vote for this tab, then let it learn
+    const context = await findVoteContext(tabId);
+    if (context) {
+      const outcome = weightedVoter.handleFeedback(context.mspcState, context.feat, trueClass);
+      // The re-scored vote is the one every metric below is judged on
+      metricsCollector.updateConfusionMatrix(outcome.vote, trueClass, outcome.confidence);
+      metricsCollector.recordCalibration(outcome.confidence, outcome.correct);
+      metricsCollector.updateModelAccuracies(outcome.mspcCorrect, outcome.hatCorrect, outcome.correct);
+      metricsCollector.recordPrequential(
+        { mspc: outcome.mspcVote, hat: outcome.hatPrediction, ensemble: outcome.vote },
+        trueClass
+      );
+      metricsCollector.recordVotingAgreement(
+        outcome.mspcVote,
+        outcome.hatPrediction,
+        outcome.vote,
+        trueClass,
+        outcome.confidence
+      );
+      await recordDriftEvents();
+    } else if (typeof feedbackData.predictedClass === 'number') {
+      // No vote to score for this tab – only an explicit prediction can be
+      metricsCollector.updateConfusionMatrix(
+        feedbackData.predictedClass,
+        trueClass,
+        confidence
+      );
+    } else {
+      console.log(`No vote to score for tab ${tabId}; label kept for the tree only`);
+      return;
     }
-    metricsCollector.updateConfusionMatrix(
-      feedbackData.predictedClass,
-      classValue,
-      confidence
-    );
     console.log('✅ User feedback processed:', feedbackData);
     
   } catch (error) {
@@ -537,11 +763,13 @@ async function handleUserFeedback(feedbackData) {
 
 /**
  * Show feedback collection notification
+ * @param {string|number|null} [tabId] tab the label is for
  */
-async function showFeedbackNotification() {
+async function showFeedbackNotification(tabId = null) {
   try {
-    const notificationId = `feedback_${tabId}_${Date.now()}`;
+    const notificationId = `feedback_${Date.now()}`;
     
+    await trackNotification(notificationId, { kind: 'feedback', tabId });
     await createNotificationAsync(notificationId, {
       type: 'basic',
       iconUrl: chrome.runtime.getURL('icons/icon48.png'),
@@ -549,11 +777,35 @@ async function showFeedbackNotification() {
       message: 'How would you classify your recent browsing behavior?',
       buttons: [
         { title: 'Productive'      },  // index 0
-        { title: 'Non-productive'  },  // index 1
-        { title: 'Overuse'         }   // index 2
+        { title: 'Not productive'  }   // index 1 → follow-up question
+      ],
+      priority: 1
+    });
+
+  } catch (error) {
+    console.error('Error showing feedback notification:', error);
+  }
+}
+
+/**
+ * Follow-up to a "Not productive" answer: plain non-productive or overuse
+ * @param {string|number|null} [tabId] tab the label is for
+ */
+async function showFeedbackDetailNotification(tabId = null) {
+  try {
+    const notificationId = `feedback-detail_${Date.now()}`;
+
+    await trackNotification(notificationId, { kind: 'feedback-detail', tabId });
+    await createNotificationAsync(notificationId, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon48.png'),
+      title: 'Rate Your Recent Browsing',
+      message: 'Was it just unproductive, or more than you wanted to be online?',
+      buttons: [
+        { title: 'Just unproductive' },  // index 0
+        { title: 'Overuse'           }   // index 1
       ],
-      priority: 1,
-      data: { tabId }
+      priority: 1
     });
 
   } catch (error) {
@@ -563,11 +815,14 @@ async function showFeedbackNotification() {
 
 /**
  * Show overuse detection notification
+ * @param {object} data prediction being reported
+ * @param {string|number|null} [tabId] tab the prediction was made on
  */
-async function showOveruseNotification(data) {
+async function showOveruseNotification(data, tabId = data?.tabId ?? null) {
   try {
     const notificationId = `overuse_${Date.now()}`;
     
+    await trackNotification(notificationId, { kind: 'overuse', tabId });
     await createNotificationAsync(notificationId, {
       type: 'basic',
       iconUrl: chrome.runtime.getURL('icons/warning.png'),
@@ -575,8 +830,7 @@ async function showOveruseNotification(data) {
       message: `Our analysis suggests you might be experiencing internet overuse.`, /*Confidence: ${Math.round(data.confidence * 100)}%*/
       buttons: [
         { title: 'View Details' },
-        { title: 'Give Feedback' },
-        { title: 'Dismiss' }
+        { title: 'Give Feedback' }
       ],
       priority: 2
     });
@@ -589,7 +843,7 @@ async function showOveruseNotification(data) {
 /**
  * Schedule overuse notification with rate limiting
  */
-async function scheduleOveruseNotification(votingResult) {
+async function scheduleOveruseNotification(tabId, votingResult) {
   try {
     // Rate limit overuse notifications (max 1 per hour)
     const lastOveruseTime = await getLastOveruseNotificationTime();
@@ -599,6 +853,13 @@ async function scheduleOveruseNotification(votingResult) {
       return;
     }
 
+    // The alarm may fire in a fresh worker: keep what it should report
+    await chrome.storage.local.set({
+      recentPrediction: {
+        tabId: String(tabId),
+        prediction: { vote: votingResult.vote, confidence: votingResult.confidence }
+      }
+    });
     await createAlarmAsync(OVERUSE_ALARM, { delayInMinutes: 1 });
 
     await setLastOveruseNotificationTime(now);
@@ -615,7 +876,7 @@ async function handleOveruseDetection() {
   // Get recent prediction data
   const recentData = await getRecentPredictionData();
   if (recentData && recentData.prediction.vote === 2) {
-    await showOveruseNotification(recentData.prediction);
+    await showOveruseNotification(recentData.prediction, recentData.tabId);
   }
 }
 
@@ -629,7 +890,6 @@ async function getCurrentStats() {
     const systemStats = {
       totalInteractions: systemState.totalInteractions,
       isTracking: systemState.isTracking,
-      currentNotificationLevel: systemState.currentNotificationLevel,
       systemInitialized: systemState.systemInitialized,
       lastProcessingTime: systemState.lastProcessingTime
     };
@@ -637,6 +897,8 @@ async function getCurrentStats() {
     return {
       system: systemStats,
       metrics: metrics,
+      lastDrift: driftJournal.getLast(),
+      feedbackQueries: queryPolicy.getStatus(),
       timestamp: Date.now()
     };
   } catch (error) {
@@ -705,14 +967,16 @@ async function resetSystem() {
     // Reset ML models
     if (weightedVoter && weightedVoter.tree) {
       weightedVoter.tree = new HoeffdingTree({ 
-        nFeatures: 15,
+        nFeatures: FEATURE_COUNT,
         nClasses: 3,
         classLabels: ['productive', 'non-productive', 'overuse']
       });
     }
 
     if (weightedVoter && weightedVoter.mspc) {
-      weightedVoter.mspc = new MSPC(6);
+      weightedVoter.mspc = new MSPC(6, MSPC_OPTIONS);
+      // the Phase I baseline belongs to the user, not to the models
+      await ensureMspcBaseline();
     }
 
     // Reset feature engineer
@@ -721,6 +985,9 @@ async function resetSystem() {
     // Reset metrics
     metricsCollector = new MetricsCollector();
 
+    // Overwrite the checkpoint so the old models are not restored on wake
+    await saveModels({ force: true });
+
     // Keep interaction count and notification level
     await saveSystemState();
 
@@ -733,6 +1000,137 @@ async function resetSystem() {
   }
 }
 
+/**
+ * Make sure MSPC has a Phase I baseline: a checkpointed one is kept, else
+ * the user's stored baseline is applied, else calibration starts now.
+ */
+async function ensureMspcBaseline() {
+  const mspc = weightedVoter?.mspc;
+  if (!mspc || mspc.baseline || mspc.calibration) return;
+
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.MSPC_BASELINE);
+    const stored = result[STORAGE_KEYS.MSPC_BASELINE];
+    if (stored?.p === mspc.p) {
+      mspc.applyBaseline(stored);
+      savedBaselineAt = stored.calibratedAt;
+      console.log('📏 MSPC baseline restored');
+      return;
+    }
+  } catch (error) {
+    console.error('Error restoring MSPC baseline:', error);
+  }
+  mspc.startCalibration();
+  console.log(`📏 MSPC Phase I calibration started (${mspc.calibrationSize} reports)`);
+}
+
+/** Store a newly frozen Phase I baseline so resets keep it */
+async function saveMspcBaseline() {
+  // exportBaseline() copies the whole window, so check the stamp first
+  const calibratedAt = weightedVoter?.mspc.baseline?.calibratedAt;
+  if (calibratedAt == null || calibratedAt === savedBaselineAt) return;
+  const baseline = weightedVoter.mspc.exportBaseline();
+  try {
+    await chrome.storage.local.set({ [STORAGE_KEYS.MSPC_BASELINE]: baseline });
+    savedBaselineAt = baseline.calibratedAt;
+    console.log(`📏 MSPC baseline saved (${baseline.removed} of ${baseline.collected} reports dropped)`);
+  } catch (error) {
+    console.error('Error saving MSPC baseline:', error);
+  }
+}
+
+/**
+ * Re-run Phase I from the popup. MSPC raises no alarms while the new
+ * sample is collected; the old baseline is kept if cleaning fails.
+ */
+function recalibrateMspc() {
+  if (!weightedVoter) throw new Error('System not initialized');
+  weightedVoter.mspc.startCalibration();
+  markModelsDirty();
+  console.log('📏 MSPC recalibration requested');
+  return weightedVoter.mspc.getCalibrationStatus();
+}
+
+/**
+ * Journal the tree's drift detections since the last call, persist the
+ * journal and tell open dashboards
+ */
+async function recordDriftEvents() {
+  const events = weightedVoter?.tree.takeDriftEvents() ?? [];
+  if (!events.length) return;
+
+  const entries = events.map(event => driftJournal.record(event));
+  const last = entries[entries.length - 1];
+  console.log(`🌊 Concept drift (${last.detector}): error ${last.before.meanError?.toFixed(3)} → ${last.after.meanError?.toFixed(3)}`);
+  try {
+    await chrome.storage.local.set({ [STORAGE_KEYS.DRIFT_JOURNAL]: driftJournal.toJSON() });
+  } catch (error) {
+    console.error('Error saving drift journal:', error);
+  }
+  await broadcastToUI({ type: 'DRIFT_DETECTED', data: last });
+}
+
+/**
+ * Input drift found by the FeatureEngineer's covariate monitor: log it and
+ * tell open dashboards. Works without any feedback having arrived.
+ * @returns {Promise<object|null>} the latest signal, for the query policy
+ */
+async function handleCovariateDrift() {
+  const signals = featureEngineer?.covariateDrift.takeSignals() ?? [];
+  if (!signals.length) return null;
+
+  const last = signals[signals.length - 1];
+  console.log(`🧭 Input drift (${last.source}): ${last.features.map(f => f.name).join(', ')}`);
+  await broadcastToUI({ type: 'COVARIATE_DRIFT', data: last });
+  return last;
+}
+
+/**
+ * Let the query policy decide whether this prediction is worth a label
+ * (uncertain vote, MSPC/HAT disagreement or input drift, within the daily
+ * budget) and ask for one on the tab if so
+ */
+async function considerFeedbackRequest(tabId, votingResult, drift) {
+  const query = queryPolicy.consider(votingResult, {
+    tabId: String(tabId),
+    drift,
+    labelledCount: weightedVoter.labelledCount
+  });
+
+  // Skips count too, so save on every decision, not only on requests
+  try {
+    await chrome.storage.local.set({ [STORAGE_KEYS.QUERY_POLICY]: queryPolicy.toJSON() });
+  } catch (error) {
+    console.error('Error saving query policy:', error);
+  }
+  if (!query) return;
+
+  console.log(`🙋 Feedback requested (${query.reason}), ${queryPolicy.remaining()} left today`);
+  await showFeedbackNotification(query.tabId);
+}
+
+async function loadQueryPolicy() {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.QUERY_POLICY);
+    const stored = result[STORAGE_KEYS.QUERY_POLICY];
+    queryPolicy = stored ? QueryPolicy.fromJSON(stored) : new QueryPolicy();
+  } catch (error) {
+    console.error('Error loading query policy:', error);
+  }
+}
+
+async function loadDriftJournal() {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.DRIFT_JOURNAL);
+    const stored = result[STORAGE_KEYS.DRIFT_JOURNAL];
+    driftJournal = stored
+      ? DriftJournal.fromJSON(stored, { featureNames: FEATURE_LAYOUT })
+      : new DriftJournal({ featureNames: FEATURE_LAYOUT });
+  } catch (error) {
+    console.error('Error loading drift journal:', error);
+  }
+}
+
 async function purgeOldSessions() {
   const buf = await loadSessionBuffer();
   if (buf.length > MAX_SESSIONS) {
@@ -753,25 +1151,50 @@ async function resumeTracking() {
   console.log('▶️ Tracking resumed');
 }
 
+/**
+ * Append a raw message to the replay log. Recording must never get in the
+ * way of live processing, so failures are only logged.
+ */
+async function recordTelemetry(message) {
+  try {
+    await telemetryRecorder.record(message);
+  } catch (error) {
+    console.error('Error recording telemetry:', error);
+  }
+}
+
+async function setRecording(enabled) {
+  systemState.isRecording = enabled;
+  await saveSystemState();
+  console.log(enabled ? '⏺️ Telemetry recording started' : '⏹️ Telemetry recording stopped');
+}
+
 async function deleteAllData() {
   try {
     console.log('🗑️ Deleting all data...');
 
+    // A pending checkpoint would otherwise re-save the old models
+    clearTimeout(checkpointTimer);
+    checkpointTimer = null;
+    modelsDirty = false;
+
     // Clear storage
     await chrome.storage.local.clear();
     await chrome.storage.sync.clear();
+    await telemetryRecorder.clear();
+    savedBaselineAt = null;
 
     // Reset system state
     systemState = {
       isTracking: true,
       totalInteractions: 0,
-      currentNotificationLevel: 0,
       lastProcessingTime: 0,
-      systemInitialized: false
+      systemInitialized: false,
+      isRecording: false
     };
 
     // Reinitialize system
-    await initializeSystem();
+    await reinitializeSystem();
 
     console.log('✅ All data deleted and system reinitialized');
   } catch (error) {
@@ -790,6 +1213,10 @@ function getSystemStatus() {
       aucWorker: !!aucWorker,
       metricsWorker: !!metricsWorker
     },
+    calibration: metricsCollector ? metricsCollector.calculateCalibrationMetrics() : null,
+    prequential: metricsCollector ? metricsCollector.prequential.getMetrics() : null,
+    mspcCalibration: weightedVoter ? weightedVoter.mspc.getCalibrationStatus() : null,
+    covariateDrift: featureEngineer ? featureEngineer.covariateDrift.getStatus() : null,
     timestamp: Date.now()
   };
 }
@@ -819,6 +1246,74 @@ async function saveSystemState() {
   }
 }
 
+/**
+ * Flag learner state as changed and (re)arm the debounced checkpoint
+ */
+function markModelsDirty() {
+  modelsDirty = true;
+  clearTimeout(checkpointTimer);
+  checkpointTimer = setTimeout(() => saveModels(), CHECKPOINT_DEBOUNCE_MS);
+}
+
+/**
+ * Persist the full learner state (voter, tree, MSPC, scalers)
+ */
+async function saveModels({ force = false } = {}) {
+  clearTimeout(checkpointTimer);
+  checkpointTimer = null;
+  if (!force && !modelsDirty) return;
+  if (!weightedVoter || !featureEngineer) return;
+
+  try {
+    const checkpoint = {
+      version: MODEL_CHECKPOINT_VERSION,
+      savedAt: Date.now(),
+      weightedVoter: weightedVoter.toJSON(),
+      featureEngineer: featureEngineer.toJSON(),
+      prequential: metricsCollector ? metricsCollector.prequential.toJSON() : null
+    };
+    modelsDirty = false;
+    await chrome.storage.local.set({ [STORAGE_KEYS.ML_MODELS]: checkpoint });
+  } catch (error) {
+    modelsDirty = true;
+    console.error('Error saving ML models:', error);
+  }
+}
+
+/**
+ * Rehydrate learners from the last checkpoint. Leaves the freshly built
+ * components in place if there is none or it cannot be read.
+ */
+async function restoreModels() {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.ML_MODELS);
+    const checkpoint = result[STORAGE_KEYS.ML_MODELS];
+    if (!checkpoint) return false;
+
+    if (checkpoint.version !== MODEL_CHECKPOINT_VERSION) {
+      console.warn(`Ignoring ML model checkpoint v${checkpoint.version}`);
+      return false;
+    }
+
+    // Build both before assigning so a bad checkpoint is all-or-nothing
+    const voter = WeightedVoter.fromJSON(checkpoint.weightedVoter);
+    const engineer = FeatureEngineer.fromJSON(checkpoint.featureEngineer);
+    const prequential = checkpoint.prequential
+      ? PrequentialEvaluator.fromJSON(checkpoint.prequential)
+      : null;
+    weightedVoter = voter;
+    featureEngineer = engineer;
+    if (prequential && metricsCollector) metricsCollector.prequential = prequential;
+    modelsDirty = false;
+
+    console.log(`💾 ML models restored from ${new Date(checkpoint.savedAt).toISOString()}`);
+    return true;
+  } catch (error) {
+    console.error('Error restoring ML models:', error);
+    return false;
+  }
+}
+
 async function injectContentScript(tabId, url) {
   try {
     if (!url.startsWith('http://') && !url.startsWith('https://')) {
@@ -943,8 +1438,6 @@ setInterval(async () => {
 }, 60000); // Every minute
 
 // Initialize on script load
-(async () => {
-  await initializeSystem();
-})();
+systemReady = initializeSystem();
 
 console.log('🎯 Internet Overuse Detection Service Worker loaded');
@@ -0,0 +1,142 @@
+/* ---------------------------------------------------------
+   Opt-in raw telemetry recorder.
+
+   Keeps every incoming BATCH_STATS / FINAL_STATS /
+   VISIBILITY_CHANGE / USER_FEEDBACK message in a rolling
+   IndexedDB log so a session can be replayed exactly with
+   tools/replay.mjs. The log is bounded by entry count and
+   age; the oldest entries are dropped first.
+--------------------------------------------------------- */
+
+// Configuration
+const DB_NAME        = 'checkmate-recorder';
+const DB_VERSION     = 1;
+const STORE_NAME     = 'telemetry';
+const MAX_ENTRIES    = 50_000;                   // ≈ a week of 30 s reports on a few tabs
+const MAX_AGE_MS     = 7 * 24 * 60 * 60 * 1000;  // 7 days
+const PRUNE_EVERY    = 200;                      // records between prune passes
+
+export const RECORDED_TYPES = ['BATCH_STATS', 'FINAL_STATS', 'VISIBILITY_CHANGE', 'USER_FEEDBACK'];
+
+/** Promise wrapper for a single IDBRequest */
+function requestPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/** Resolves when the transaction commits */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error('IndexedDB transaction aborted'));
+  });
+}
+
+export default class TelemetryRecorder {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.maxEntries=50000]
+   * @param {number} [opts.maxAgeMs=604800000]
+   * @param {string} [opts.dbName='checkmate-recorder']
+   */
+  constructor(opts = {}) {
+    this.maxEntries = opts.maxEntries ?? MAX_ENTRIES;
+    this.maxAgeMs = opts.maxAgeMs ?? MAX_AGE_MS;
+    this.dbName = opts.dbName ?? DB_NAME;
+    this._db = null;
+    this._sincePrune = 0;
+  }
+
+  /** Open (and on first use create) the database */
+  async open() {
+    if (this._db) return this._db;
+    const request = indexedDB.open(this.dbName, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('receivedAt', 'receivedAt');
+      }
+    };
+    this._db = await requestPromise(request);
+    // another context deleting the database must not leave us with a dead handle
+    this._db.onversionchange = () => {
+      this._db.close();
+      this._db = null;
+    };
+    return this._db;
+  }
+
+  /**
+   * Append one message to the log.
+   * @param {object} message as received by the service worker
+   * @param {number} [receivedAt=Date.now()]
+   */
+  async record(message, receivedAt = Date.now()) {
+    if (!message || !RECORDED_TYPES.includes(message.type)) return;
+    const db = await this.open();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    tx.objectStore(STORE_NAME).add({ receivedAt, message });
+    await transactionDone(tx);
+
+    if (++this._sincePrune >= PRUNE_EVERY) {
+      this._sincePrune = 0;
+      await this.prune(receivedAt);
+    }
+  }
+
+  /** Drop entries older than maxAgeMs, then the oldest beyond maxEntries */
+  async prune(now = Date.now()) {
+    const db = await this.open();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+
+    const expired = IDBKeyRange.upperBound(now - this.maxAgeMs, true);
+    const expiredKeys = await requestPromise(store.index('receivedAt').getAllKeys(expired));
+    expiredKeys.forEach(key => store.delete(key));
+
+    const excess = (await requestPromise(store.count())) - this.maxEntries;
+    if (excess > 0) {
+      // ids grow monotonically, so the first `excess` keys are the oldest
+      const keys = await requestPromise(store.getAllKeys(null, excess));
+      if (keys.length) store.delete(IDBKeyRange.bound(keys[0], keys[keys.length - 1]));
+    }
+    await transactionDone(tx);
+  }
+
+  /** Number of recorded messages */
+  async count() {
+    const db = await this.open();
+    return requestPromise(db.transaction(STORE_NAME).objectStore(STORE_NAME).count());
+  }
+
+  /**
+   * The whole log as JSONL in arrival order, one replayable message per
+   * line: { type, ts, data, mspcVector, …, receivedAt }.
+   * @returns {Promise<{jsonl:string, count:number}>}
+   */
+  async exportJSONL() {
+    const db = await this.open();
+    const entries = await requestPromise(
+      db.transaction(STORE_NAME).objectStore(STORE_NAME).getAll()
+    );
+    const lines = entries.map(({ receivedAt, message }) => JSON.stringify({
+      ...message,
+      ts: message.ts ?? message.data?.ts ?? receivedAt,
+      receivedAt
+    }));
+    return { jsonl: lines.length ? lines.join('\n') + '\n' : '', count: lines.length };
+  }
+
+  /** Remove every recorded message */
+  async clear() {
+    const db = await this.open();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    tx.objectStore(STORE_NAME).clear();
+    await transactionDone(tx);
+    this._sincePrune = 0;
+  }
+}
@@ -66,6 +66,9 @@
       /* activity batching */
       this.activityBatch = [];
 
+      /* queued, acknowledged delivery to the service worker */
+      this.transport = new ReportTransport();
+
       /* listener setup */
       this._setupListeners();
 
@@ -171,12 +174,7 @@
     }
 
     _postMessage (msg) {
-      const sw = navigator.serviceWorker.controller;
-      if (!sw) {
-        console.warn('SW not ready, message dropped:', msg.type);
-        return;
-      }
-      try { sw.postMessage(msg); } catch (err) { console.warn('postMessage failed', err); }
+      try { this.transport.send(msg); } catch (err) { console.warn('report enqueue failed', err); }
     }
 
     /* ----------------------- periodic reporting ---------------------- */
@@ -229,9 +227,9 @@
         stats.timeSinceLastMs                       // v6
       ]);
 
-      /* send and record latency */
+      /* send and record latency (plain array – ports JSON-serialise payloads) */
       const sendT0 = performance.now();
-      this._postMessage({ type: 'BATCH_STATS', data: stats, mspcVector : vector.buffer });
+      this._postMessage({ type: 'BATCH_STATS', data: stats, mspcVector : Array.from(vector) });
       this.msgLatency.push({ ts: now, latency: performance.now() - sendT0 });
 
       /* perf bookkeeping */
@@ -273,17 +271,16 @@
         stats.timeSinceLastMs
       ]);
 
-      // Send via postMessage so FeatureEngineer.ingest() handles it identically
+      // Same transport as BATCH_STATS so FeatureEngineer.ingest() handles it identically
       const msg = {
         type: 'FINAL_STATS',
         data: stats,
-        mspcVector: vector.buffer,
+        mspcVector: Array.from(vector),
         isFinal: true
       };
 
-      const sw = navigator.serviceWorker.controller;
-      if (sw) sw.postMessage(msg);
-      else console.warn('SW not ready, finalStats dropped');
+      this._postMessage(msg);
+      this.transport.flush();             // page is going away – push the backlog now
     }
 
     /* --------------------- analytics / utilities --------------------- */
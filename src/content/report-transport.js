@@ -0,0 +1,166 @@
+/* ===========================================================================
+   report-transport.js
+   ---------------------------------------------------------------------------
+   Reliable content-script → service-worker delivery over a long-lived
+   chrome.runtime port.  Reports are queued locally, sent one at a time with
+   a monotonically increasing sequence number and only dropped from the queue
+   once the service worker acknowledges them.  When the MV3 worker is asleep
+   or restarts the port disconnects; the queue is kept and re-sent in order
+   after an exponential back-off reconnect.
+
+   Loaded as a plain content script (see manifest.json) before
+   content-script.js, so ReportTransport is a script-scope global just like
+   CircularBuffer.
+   ==========================================================================*/
+
+/* ---------------------------- constants ---------------------------- */
+const TRANSPORT_PORT_NAME    = 'checkmate-telemetry';
+const TRANSPORT_MAX_QUEUE    = 200;        // ≈ 100 min of 30 s reports
+const TRANSPORT_BACKOFF_MIN  = 1_000;
+const TRANSPORT_BACKOFF_MAX  = 60_000;
+const TRANSPORT_ACK_TIMEOUT  = 10_000;
+
+class ReportTransport {
+  /**
+   * @param {Object} [opts]
+   * @param {string} [opts.portName]     – runtime port name the SW listens on
+   * @param {number} [opts.maxQueue]     – oldest reports dropped beyond this
+   * @param {number} [opts.backoffMin]   – first reconnect delay (ms)
+   * @param {number} [opts.backoffMax]   – reconnect delay ceiling (ms)
+   * @param {number} [opts.ackTimeout]   – resend if no ACK within (ms)
+   */
+  constructor (opts = {}) {
+    this.portName   = opts.portName   ?? TRANSPORT_PORT_NAME;
+    this.maxQueue   = opts.maxQueue   ?? TRANSPORT_MAX_QUEUE;
+    this.backoffMin = opts.backoffMin ?? TRANSPORT_BACKOFF_MIN;
+    this.backoffMax = opts.backoffMax ?? TRANSPORT_BACKOFF_MAX;
+    this.ackTimeout = opts.ackTimeout ?? TRANSPORT_ACK_TIMEOUT;
+
+    /* unique per page instance so the SW can de-duplicate resends */
+    this.streamId = crypto.randomUUID();
+    this.nextSeq  = 1;
+
+    /* pending envelopes, oldest first: { seq, payload } */
+    this.queue    = [];
+    this.inFlight = null;                   // seq awaiting ACK
+    this.dropped  = 0;
+
+    this.port           = null;
+    this._backoff       = this.backoffMin;
+    this._retryTimer    = null;
+    this._ackTimer      = null;
+    this._invalidated   = false;            // extension reloaded / removed
+  }
+
+  /* ========================================================= PUBLIC == */
+
+  /** queue a message for in-order delivery */
+  send (msg) {
+    if (this._invalidated) return;
+    this.queue.push({ seq: this.nextSeq++, payload: msg });
+    if (this.queue.length > this.maxQueue) {
+      /* never drop the envelope currently on the wire */
+      const idx = this.queue[0].seq === this.inFlight ? 1 : 0;
+      this.queue.splice(idx, 1);
+      this.dropped++;
+    }
+    this._pump();
+  }
+
+  /** best-effort synchronous flush for beforeunload */
+  flush () {
+    if (!this._connect()) return;
+    for (const env of this.queue) this._post(env);
+  }
+
+  getStats () {
+    return {
+      queued   : this.queue.length,
+      inFlight : this.inFlight,
+      dropped  : this.dropped,
+      connected: !!this.port
+    };
+  }
+
+  /* ======================================================= INTERNAL == */
+
+  _connect () {
+    if (this.port) return true;
+    if (this._invalidated) return false;
+    try {
+      this.port = chrome.runtime.connect({ name: this.portName });
+    } catch (err) {
+      /* "Extension context invalidated" – nothing will ever answer again */
+      console.warn('Report transport unavailable:', err.message);
+      this._invalidated = true;
+      this.queue.length = 0;
+      return false;
+    }
+    this.port.onMessage.addListener(msg => this._onPortMessage(msg));
+    this.port.onDisconnect.addListener(() => this._onDisconnect());
+    return true;
+  }
+
+  _pump () {
+    if (this.inFlight !== null || !this.queue.length) return;
+    if (this._retryTimer) return;              // waiting to reconnect
+    if (!this._connect()) return;
+
+    const env = this.queue[0];
+    this.inFlight = env.seq;
+    if (!this._post(env)) return;
+
+    clearTimeout(this._ackTimer);
+    this._ackTimer = setTimeout(() => this._onAckTimeout(), this.ackTimeout);
+  }
+
+  _post (env) {
+    try {
+      this.port.postMessage({ streamId: this.streamId, seq: env.seq, payload: env.payload });
+      return true;
+    } catch (err) {
+      /* port already closed – treat like a disconnect */
+      this._onDisconnect();
+      return false;
+    }
+  }
+
+  _onPortMessage (msg) {
+    if (msg?.type !== 'ACK') return;
+
+    /* ACK is cumulative: everything up to msg.seq has been processed */
+    while (this.queue.length && this.queue[0].seq <= msg.seq) this.queue.shift();
+    if (this.inFlight !== null && this.inFlight <= msg.seq) {
+      this.inFlight = null;
+      clearTimeout(this._ackTimer);
+    }
+    this._backoff = this.backoffMin;
+    this._pump();
+  }
+
+  _onAckTimeout () {
+    /* SW may have been torn down mid-request; force a fresh port */
+    if (this.port) {
+      try { this.port.disconnect(); } catch (_) { /* already gone */ }
+    }
+    this._onDisconnect();
+  }
+
+  _onDisconnect () {
+    /* reading lastError silences the "unchecked runtime.lastError" warning */
+    void chrome.runtime.lastError;
+    this.port     = null;
+    this.inFlight = null;
+    clearTimeout(this._ackTimer);
+    if (!this.queue.length || this._retryTimer || this._invalidated) return;
+
+    /* exponential back-off with ±20 % jitter */
+    const jitter = 0.8 + Math.random() * 0.4;
+    const delay  = Math.min(this._backoff * jitter, this.backoffMax);
+    this._backoff = Math.min(this._backoff * 2, this.backoffMax);
+    this._retryTimer = setTimeout(() => {
+      this._retryTimer = null;
+      this._pump();
+    }, delay);
+  }
+}
@@ -1,32 +1,55 @@
+/* ---------------------------------------------------------
+   ADWIN (ADaptive WINdowing, Bifet & Gavaldà 2007) over an
+   exponential histogram.
+
+   Row i holds up to maxBuckets buckets of 2^i values each,
+   oldest first; a full row merges its two oldest buckets
+   into one bucket of row i+1, so W values need O(log W)
+   buckets. Each bucket keeps its sum and the sum of squared
+   deviations from its own mean, which combine exactly on a
+   merge. The cut test walks the buckets once from the oldest,
+   moving each into the "old" side, so one update costs
+   O(maxBuckets · log W).
+--------------------------------------------------------- */
+
+const FORMAT_VERSION = 2;
+
 class ADWIN {
   /**
    * @param {Object} options
    * @param {number} [options.delta=0.002] - Confidence parameter
-   * @param {number} [options.minWindowLength=5] - Minimum window size before checking drift
-   * @param {number} [options.compressThreshold=100] - Max buckets before compression
+   * @param {number} [options.minWindowLength=5] - Minimum sub-window size on either side of a cut
+   * @param {number} [options.maxBuckets=5] - Buckets per histogram row before two are merged
    * @param {function(string):void} [options.logger=console.log] - Logging function
+   * @param {function():number} [options.now=Date.now] - Clock for bucket timestamps
    */
   constructor({
     delta = 0.002,
     minWindowLength = 5,
-    compressThreshold = 100,
-    logger = console.log
+    maxBuckets = 5,
+    logger = console.log,
+    now = Date.now
   } = {}) {
     this.delta = delta;
     this.minWindowLength = minWindowLength;
-    this.compressThreshold = compressThreshold;
+    this.maxBuckets = maxBuckets;
     this.logger = logger;
+    this.now = now;
 
     // Internal state
-    this.buckets = [];            // Buckets storing aggregated data
+    this.rows = [];               // rows[i]: buckets { sum, m2, timestamp } of 2^i values, oldest first
     this.total = 0;               // Sum of all values in current window
-    this.totalSumSquares = 0;     // Sum of squares of values
+    this.m2 = 0;                  // Sum of squared deviations from the window mean
     this.width = 0;               // Number of observations
     this.variance = 0;            // Variance within window
-    
+    this.bucketCount = 0;
+
+    this.type = 'adwin';
     this.drift = false;           // Whether drift was detected on last update
+    this.warning = false;         // ADWIN has no warning zone (drift-detectors.js interface)
     this.driftCount = 0;          // Total drift events detected
-    this.lastDriftPoint = -1;     // Index of last drift detection
+    this.lastDriftPoint = -1;     // Window width when the last drift was detected
+    this.lastCut = null;          // { before, after } { width, mean } of the last drift
   }
 
   /**
@@ -35,175 +58,263 @@ class ADWIN {
    */
   update(value) {
     this.drift = false;
-    this._addBucket(value);
-    this._checkForDrift();
+    this._insertElement(value);
     this._compressBuckets();
+    const width = this.width;
+    const total = this.total;
+    if (this._checkForDrift()) this._detectDrift(width, total);
   }
 
   /**
-   * Add a new bucket for the incoming data point.
+   * Append a single-value bucket to row 0 and fold the value into the
+   * window totals (Welford).
    * @private
    * @param {number} value
    */
-  _addBucket(value) {
-    const bucket = {
-      sum: value,
-      sumSquares: value * value,
-      size: 1,
-      timestamp: Date.now()
-    };
-    this.buckets.push(bucket);
+  _insertElement(value) {
+    if (this.rows.length === 0) this.rows.push([]);
+    this.rows[0].push({ sum: value, m2: 0, timestamp: this.now() });
+    this.bucketCount += 1;
+
+    if (this.width > 0) {
+      const mean = this.total / this.width;
+      this.m2 += (this.width * (value - mean) ** 2) / (this.width + 1);
+    }
     this.total += value;
-    this.totalSumSquares += value * value;
     this.width += 1;
     this._updateVariance();
   }
 
   /**
-   * Recompute variance in O(1) via running totals.
+   * Population variance of the window from the running m2.
    * @private
    */
   _updateVariance() {
-    if (this.width < 2) {
-      this.variance = 0;
-      return;
+    this.variance = this.width > 1 ? Math.max(0, this.m2 / this.width) : 0;
+  }
+
+  /**
+   * Merge the two oldest buckets of every overfull row into the next row.
+   * @private
+   */
+  _compressBuckets() {
+    for (let i = 0; i < this.rows.length; i++) {
+      const row = this.rows[i];
+      if (row.length <= this.maxBuckets) break;   // rows above are untouched
+      const n = 2 ** i;
+      const [b1, b2] = row.splice(0, 2);
+      const diff = (b1.sum - b2.sum) / n;
+      if (i + 1 === this.rows.length) this.rows.push([]);
+      this.rows[i + 1].push({
+        sum: b1.sum + b2.sum,
+        m2: b1.m2 + b2.m2 + (n * diff * diff) / 2,
+        timestamp: b1.timestamp        // b1 is the older of the two
+      });
+      this.bucketCount -= 1;
     }
-    const mean = this.total / this.width;
-    this.variance = Math.max(
-      0,
-      this.totalSumSquares / this.width - mean * mean
-    );
   }
 
   /**
-   * Check for concept drift by trying all cut points.
+   * Check every cut between buckets, oldest first, and drop the oldest
+   * bucket while the two sides differ significantly.
    * @private
+   * @returns {boolean} whether the window was shrunk
    */
   _checkForDrift() {
-    if (this.width < this.minWindowLength * 2) return;
-
-    // Precompute invariant log factor
-    const logFactor = Math.log(2 * Math.log(this.width) / this.delta);
-
-    let leftSum, leftSumSquares, leftSize;
-    // Try different cut points
-    for (let cut = this.minWindowLength; cut <= this.width - this.minWindowLength; cut++) {
-      // Reset accumulators for each cut
-      leftSum = 0;
-      leftSumSquares = 0;
-      leftSize = 0;
-
-      // Accumulate left-window stats
-      for (let j = 0; j < cut; j++) {
-        const b = this.buckets[j];
-        leftSum += b.sum;
-        leftSumSquares += b.sumSquares;
-        leftSize += b.size;
-      }
-      const rightSize = this.width - leftSize;
-      if (rightSize <= 0) continue;
+    if (this.width < this.minWindowLength * 2) return false;
 
-      const rightSum = this.total - leftSum;
-      const rightSumSquares = this.totalSumSquares - leftSumSquares;
+    let shrunk = false;
+    let cutFound = true;
+    while (cutFound) {
+      cutFound = false;
+      const logFactor = Math.log((2 * Math.log(this.width)) / this.delta);
+      let n0 = 0;
+      let u0 = 0;
 
-      const leftMean = leftSum / leftSize;
-      const rightMean = rightSum / rightSize;
+      scan:
+      for (let i = this.rows.length - 1; i >= 0; i--) {
+        const size = 2 ** i;
+        for (const bucket of this.rows[i]) {
+          n0 += size;
+          u0 += bucket.sum;
+          const n1 = this.width - n0;
+          if (n1 < this.minWindowLength) break scan;
+          if (n0 < this.minWindowLength) continue;
 
-      const eps = Math.sqrt(
-        (2 * this.variance * logFactor) /
-          (1 / ((1 / leftSize) + (1 / rightSize)))
-      );
-
-      if (Math.abs(leftMean - rightMean) > eps) {
-        this._detectDrift();
-        this._dropOldBuckets(cut);
-        return;
+          if (this._cutExpression(n0, n1, u0, this.total - u0, logFactor)) {
+            this._deleteOldestBucket();
+            shrunk = true;
+            cutFound = this.width >= this.minWindowLength * 2;
+            break scan;
+          }
+        }
       }
     }
+    return shrunk;
   }
 
   /**
-   * Detect drift, update counters, and log.
+   * ADWIN2 bound with the window variance (Bernstein form).
    * @private
    */
-  _detectDrift() {
-    this.drift = true;
-    this.driftCount += 1;
-    this.lastDriftPoint = this.width;
-    this.logger(`ADWIN: Concept drift detected at point ${this.width}`);
+  _cutExpression(n0, n1, u0, u1, logFactor) {
+    const diff = u0 / n0 - u1 / n1;
+    const m = 1 / (n0 - this.minWindowLength + 1) + 1 / (n1 - this.minWindowLength + 1);
+    const eps = Math.sqrt(2 * m * this.variance * logFactor) + (2 / 3) * logFactor * m;
+    return Math.abs(diff) > eps;
   }
 
   /**
-   * Drop old buckets before the cut point.
+   * Remove the oldest bucket and take its values out of the totals.
    * @private
-   * @param {number} cutPoint
    */
-  _dropOldBuckets(cutPoint) {
-    if (cutPoint < 1 || cutPoint >= this.buckets.length) {
-      // invalid cutPoint, skip dropping
-      return;
-    }
-    this.buckets = this.buckets.slice(cutPoint);
-    this._recalculateStatistics();
-  }
+  _deleteOldestBucket() {
+    const i = this.rows.length - 1;
+    const row = this.rows[i];
+    const n1 = 2 ** i;
+    const bucket = row.shift();
+    if (row.length === 0) this.rows.pop();
+    this.bucketCount -= 1;
 
-  /**
-   * Recalculate running totals after bucket removal.
-   * @private
-   */
-  _recalculateStatistics() {
-    this.total = 0;
-    this.totalSumSquares = 0;
-    this.width = 0;
-    for (const b of this.buckets) {
-      this.total += b.sum;
-      this.totalSumSquares += b.sumSquares;
-      this.width += b.size;
+    const rest = this.width - n1;
+    if (rest > 0) {
+      const restTotal = this.total - bucket.sum;
+      const diff = bucket.sum / n1 - restTotal / rest;
+      this.m2 -= bucket.m2 + (n1 * rest * diff * diff) / (n1 + rest);
+      this.total = restTotal;
+      this.width = rest;
+      if (this.m2 < 0) this.m2 = 0;
+    } else {
+      this.m2 = 0;
+      this.total = 0;
+      this.width = 0;
     }
     this._updateVariance();
   }
 
   /**
-   * Compress buckets when exceeding threshold.
+   * Detect drift, update counters, and log.
    * @private
+   * @param {number} width window width before the cut
+   * @param {number} total window sum before the cut
    */
-  _compressBuckets() {
-    if (this.buckets.length <= this.compressThreshold) return;
-    const compressed = [];
-    const len = this.buckets.length;
-    for (let i = 0; i < len; i += 2) {
-      const b1 = this.buckets[i];
-      const b2 = i + 1 < len ? this.buckets[i + 1] : null;
-      if (b2) {
-        compressed.push({
-          sum: b1.sum + b2.sum,
-          sumSquares: b1.sumSquares + b2.sumSquares,
-          size: b1.size + b2.size,
-          // timestamp: earliest of the two
-          timestamp: Math.min(b1.timestamp, b2.timestamp)
-        });
-      } else {
-        // carry last unpaired bucket
-        compressed.push(b1);
-      }
-    }
-    this.buckets = compressed;
-    // Recalculate stats to keep totals consistent
-    this._recalculateStatistics();
+  _detectDrift(width, total) {
+    const dropped = width - this.width;
+    this.lastCut = {
+      before: { width: dropped, mean: (total - this.total) / dropped },
+      after: { width: this.width, mean: this.estimation }
+    };
+    this.drift = true;
+    this.driftCount += 1;
+    this.lastDriftPoint = width;
+    this.logger(`ADWIN: Concept drift detected at point ${width}, window shrunk to ${this.width}`);
+  }
+
+  /** Mean of the current window */
+  get estimation() {
+    return this.width > 0 ? this.total / this.width : 0;
+  }
+
+  /** Timestamp of the oldest value still in the window (null when empty) */
+  getWindowStart() {
+    const last = this.rows[this.rows.length - 1];
+    return last && last.length ? last[0].timestamp : null;
   }
 
   /**
    * Reset ADWIN to its initial state.
    */
   reset() {
-    this.buckets = [];
+    this.rows = [];
     this.total = 0;
-    this.totalSumSquares = 0;
+    this.m2 = 0;
     this.width = 0;
     this.variance = 0;
+    this.bucketCount = 0;
     this.drift = false;
     this.driftCount = 0;
     this.lastDriftPoint = -1;
+    this.lastCut = null;
+  }
+
+  /**
+   * Serialise the histogram so detection can resume after a restart.
+   * Window totals are rebuilt from the buckets on load.
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      version: FORMAT_VERSION,
+      delta: this.delta,
+      minWindowLength: this.minWindowLength,
+      maxBuckets: this.maxBuckets,
+      rows: this.rows.map(row => row.map(b => [b.sum, b.m2, b.timestamp])),
+      driftCount: this.driftCount,
+      lastDriftPoint: this.lastDriftPoint,
+      lastCut: this.lastCut
+    };
+  }
+
+  /**
+   * Rebuild an ADWIN instance from toJSON() output.
+   * @param {Object} data
+   * @param {function(string):void} [logger=console.log]
+   * @param {function():number} [now=Date.now]
+   * @returns {ADWIN}
+   */
+  static fromJSON(data, logger = console.log, now = Date.now) {
+    const adwin = new ADWIN({
+      delta: data.delta,
+      minWindowLength: data.minWindowLength,
+      maxBuckets: data.maxBuckets,
+      logger,
+      now
+    });
+    if (data.version === FORMAT_VERSION) {
+      adwin.rows = (data.rows || []).map(row =>
+        row.map(([sum, m2, timestamp]) => ({ sum, m2, timestamp })));
+      adwin._recalculateStatistics();
+    } else {
+      // checkpoints written before the histogram kept a flat list of
+      // { sum, sumSquares, size } buckets; replay each bucket's mean
+      // (spread inside a bucket is lost, the window mean is not)
+      for (const b of data.buckets || []) {
+        for (let k = 0; k < b.size; k++) {
+          adwin._insertElement(b.sum / b.size);
+          adwin._compressBuckets();
+        }
+      }
+    }
+    adwin.driftCount = data.driftCount ?? 0;
+    adwin.lastDriftPoint = data.lastDriftPoint ?? -1;
+    adwin.lastCut = data.lastCut ?? null;
+    return adwin;
+  }
+
+  /**
+   * Window totals from the buckets, combining them oldest first.
+   * @private
+   */
+  _recalculateStatistics() {
+    this.total = 0;
+    this.m2 = 0;
+    this.width = 0;
+    this.bucketCount = 0;
+    for (let i = this.rows.length - 1; i >= 0; i--) {
+      const size = 2 ** i;
+      for (const b of this.rows[i]) {
+        if (this.width > 0) {
+          const diff = this.total / this.width - b.sum / size;
+          this.m2 += (this.width * size * diff * diff) / (this.width + size);
+        }
+        this.m2 += b.m2;
+        this.total += b.sum;
+        this.width += size;
+        this.bucketCount += 1;
+      }
+    }
+    this._updateVariance();
   }
 
   /**
@@ -212,14 +323,16 @@ class ADWIN {
    */
   getStatistics() {
     return {
+      type: this.type,
       width: this.width,
       total: this.total,
-      mean: this.width > 0 ? this.total / this.width : 0,
+      mean: this.estimation,
       variance: this.variance,
       driftCount: this.driftCount,
       lastDriftPoint: this.lastDriftPoint,
       currentDrift: this.drift,
-      bucketCount: this.buckets.length
+      bucketCount: this.bucketCount,
+      windowStart: this.getWindowStart()
     };
   }
 }
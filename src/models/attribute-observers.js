@@ -0,0 +1,266 @@
+'use strict';
+
+/**
+ * Bounded-memory numeric attribute observers for HoeffdingNode.
+ *
+ * One observer watches one feature at one leaf and keeps per-class summary
+ * statistics of the values it has seen. Every observer exposes the same
+ * interface so the node can switch implementations:
+ *
+ *   observe(value, classLabel, weight)   – absorb one value
+ *   getSplitSuggestions()                – [{ value, left, right }] candidate
+ *                                          thresholds with per-class weights
+ *                                          on each side (left: x <= value)
+ *   getGaussian(classLabel)              – { mean, variance, weight } | null
+ *   toJSON() / observerFromJSON(data)    – (de)serialisation
+ *
+ * Memory is O(nClasses) for 'gaussian' and O(maxBins · nClasses) for
+ * 'histogram', independent of how many instances the leaf has seen.
+ */
+
+/** Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation). */
+function normalCDF(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly =
+    t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+    t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+class GaussianObserver {
+  /**
+   * Per-class Welford estimator plus min/max; split candidates are spread
+   * evenly over the observed range and scored through the normal CDF.
+   * @param {number} nClasses
+   * @param {Object} [opts]
+   * @param {number} [opts.nSplitPoints=10] - candidate thresholds per evaluation
+   */
+  constructor(nClasses, { nSplitPoints = 10 } = {}) {
+    this.nClasses = nClasses;
+    this.nSplitPoints = nSplitPoints;
+    this.weight = new Float64Array(nClasses);
+    this.mean = new Float64Array(nClasses);
+    this.m2 = new Float64Array(nClasses);
+    this.min = new Float64Array(nClasses).fill(Infinity);
+    this.max = new Float64Array(nClasses).fill(-Infinity);
+  }
+
+  observe(value, classLabel, weight = 1) {
+    const c = classLabel;
+    const w0 = this.weight[c];
+    const w = w0 + weight;
+    const delta = value - this.mean[c];
+    this.mean[c] += (delta * weight) / w;
+    this.m2[c] += delta * weight * (value - this.mean[c]);
+    this.weight[c] = w;
+    if (value < this.min[c]) this.min[c] = value;
+    if (value > this.max[c]) this.max[c] = value;
+  }
+
+  getGaussian(classLabel) {
+    const w = this.weight[classLabel];
+    if (w <= 0) return null;
+    return {
+      mean: this.mean[classLabel],
+      variance: w > 1 ? this.m2[classLabel] / (w - 1) : 0,
+      weight: w
+    };
+  }
+
+  getSplitSuggestions() {
+    let lo = Infinity;
+    let hi = -Infinity;
+    for (let c = 0; c < this.nClasses; c++) {
+      if (this.weight[c] <= 0) continue;
+      lo = Math.min(lo, this.min[c]);
+      hi = Math.max(hi, this.max[c]);
+    }
+    if (!(hi > lo)) return [];
+
+    const out = [];
+    for (let i = 1; i <= this.nSplitPoints; i++) {
+      const value = lo + ((hi - lo) * i) / (this.nSplitPoints + 1);
+      const left = new Float64Array(this.nClasses);
+      const right = new Float64Array(this.nClasses);
+      for (let c = 0; c < this.nClasses; c++) {
+        const w = this.weight[c];
+        if (w <= 0) continue;
+        if (value < this.min[c]) {
+          right[c] = w;
+        } else if (value >= this.max[c]) {
+          left[c] = w;
+        } else {
+          const g = this.getGaussian(c);
+          const sd = Math.sqrt(g.variance);
+          const p = sd > 0 ? normalCDF((value - g.mean) / sd) : (value >= g.mean ? 1 : 0);
+          left[c] = w * p;
+          right[c] = w - left[c];
+        }
+      }
+      out.push({ value, left, right });
+    }
+    return out;
+  }
+
+  toJSON() {
+    return {
+      type: 'gaussian',
+      nClasses: this.nClasses,
+      nSplitPoints: this.nSplitPoints,
+      weight: Array.from(this.weight),
+      mean: Array.from(this.mean),
+      m2: Array.from(this.m2),
+      // JSON has no ±Infinity; classes never seen are restored from weight 0
+      min: Array.from(this.min, v => (Number.isFinite(v) ? v : null)),
+      max: Array.from(this.max, v => (Number.isFinite(v) ? v : null))
+    };
+  }
+
+  static fromJSON(data) {
+    const obs = new GaussianObserver(data.nClasses, { nSplitPoints: data.nSplitPoints });
+    obs.weight = Float64Array.from(data.weight);
+    obs.mean = Float64Array.from(data.mean);
+    obs.m2 = Float64Array.from(data.m2);
+    obs.min = Float64Array.from(data.min, v => v ?? Infinity);
+    obs.max = Float64Array.from(data.max, v => v ?? -Infinity);
+    return obs;
+  }
+}
+
+class HistogramObserver {
+  /**
+   * Streaming histogram (Ben-Haim & Tom-Tov): at most maxBins centroids,
+   * each with per-class counts. When full, the two closest centroids are
+   * merged. Split candidates sit halfway between neighbouring centroids.
+   * @param {number} nClasses
+   * @param {Object} [opts]
+   * @param {number} [opts.maxBins=32]
+   */
+  constructor(nClasses, { maxBins = 32 } = {}) {
+    this.nClasses = nClasses;
+    this.maxBins = maxBins;
+    /** sorted by value: { value, counts: Float64Array(nClasses) } */
+    this.bins = [];
+  }
+
+  observe(value, classLabel, weight = 1) {
+    const bins = this.bins;
+    let lo = 0;
+    let hi = bins.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (bins[mid].value < value) lo = mid + 1;
+      else hi = mid;
+    }
+    if (lo < bins.length && bins[lo].value === value) {
+      bins[lo].counts[classLabel] += weight;
+      return;
+    }
+    const counts = new Float64Array(this.nClasses);
+    counts[classLabel] = weight;
+    bins.splice(lo, 0, { value, counts });
+    if (bins.length > this.maxBins) this._mergeClosest();
+  }
+
+  _mergeClosest() {
+    const bins = this.bins;
+    let best = 0;
+    let bestGap = Infinity;
+    for (let i = 0; i < bins.length - 1; i++) {
+      const gap = bins[i + 1].value - bins[i].value;
+      if (gap < bestGap) {
+        bestGap = gap;
+        best = i;
+      }
+    }
+    const a = bins[best];
+    const b = bins[best + 1];
+    const wa = a.counts.reduce((s, x) => s + x, 0);
+    const wb = b.counts.reduce((s, x) => s + x, 0);
+    const counts = new Float64Array(this.nClasses);
+    for (let c = 0; c < this.nClasses; c++) counts[c] = a.counts[c] + b.counts[c];
+    bins.splice(best, 2, { value: (a.value * wa + b.value * wb) / (wa + wb), counts });
+  }
+
+  getGaussian(classLabel) {
+    let w = 0;
+    let sum = 0;
+    for (const b of this.bins) {
+      w += b.counts[classLabel];
+      sum += b.counts[classLabel] * b.value;
+    }
+    if (w <= 0) return null;
+    const mean = sum / w;
+    let ss = 0;
+    for (const b of this.bins) ss += b.counts[classLabel] * (b.value - mean) ** 2;
+    return { mean, variance: w > 1 ? ss / (w - 1) : 0, weight: w };
+  }
+
+  getSplitSuggestions() {
+    const out = [];
+    const left = new Float64Array(this.nClasses);
+    const total = new Float64Array(this.nClasses);
+    for (const b of this.bins) {
+      for (let c = 0; c < this.nClasses; c++) total[c] += b.counts[c];
+    }
+    for (let i = 0; i < this.bins.length - 1; i++) {
+      const b = this.bins[i];
+      for (let c = 0; c < this.nClasses; c++) left[c] += b.counts[c];
+      const right = total.map((t, c) => t - left[c]);
+      out.push({
+        value: (b.value + this.bins[i + 1].value) / 2,
+        left: Float64Array.from(left),
+        right
+      });
+    }
+    return out;
+  }
+
+  toJSON() {
+    return {
+      type: 'histogram',
+      nClasses: this.nClasses,
+      maxBins: this.maxBins,
+      bins: this.bins.map(b => ({ value: b.value, counts: Array.from(b.counts) }))
+    };
+  }
+
+  static fromJSON(data) {
+    const obs = new HistogramObserver(data.nClasses, { maxBins: data.maxBins });
+    obs.bins = data.bins.map(b => ({ value: b.value, counts: Float64Array.from(b.counts) }));
+    return obs;
+  }
+}
+
+const OBSERVERS = {
+  gaussian: GaussianObserver,
+  histogram: HistogramObserver
+};
+
+/**
+ * @param {'gaussian'|'histogram'} type
+ * @param {number} nClasses
+ * @param {Object} [opts] - observer-specific options
+ */
+function createObserver(type, nClasses, opts = {}) {
+  const Observer = OBSERVERS[type];
+  if (!Observer) {
+    throw new Error(`Unknown attribute observer "${type}" (expected ${Object.keys(OBSERVERS).join(', ')})`);
+  }
+  return new Observer(nClasses, opts);
+}
+
+function observerFromJSON(data) {
+  const Observer = OBSERVERS[data.type];
+  if (!Observer) throw new Error(`Unknown attribute observer "${data.type}"`);
+  return Observer.fromJSON(data);
+}
+
+module.exports = {
+  GaussianObserver,
+  HistogramObserver,
+  createObserver,
+  observerFromJSON,
+  OBSERVER_TYPES: Object.keys(OBSERVERS)
+};
@@ -0,0 +1,587 @@
+'use strict';
+
+/**
+ * Concept-drift detectors for HoeffdingTree.
+ *
+ * Every detector watches one numeric stream (for the tree: 0 = correct,
+ * 1 = error) and exposes the same interface so the tree can switch
+ * implementations:
+ *
+ *   update(value)                        – absorb one value
+ *   warning / drift                      – flags set by the last update
+ *   estimation / width                   – current mean of the stream and the
+ *                                          number of values it rests on
+ *   lastCut                              – { before, after } sub-streams
+ *                                          { width, mean } of the last drift
+ *   driftCount, getStatistics(), reset()
+ *   toJSON() / detectorFromJSON(data)    – (de)serialisation
+ *
+ * Detectors other than ADWIN forget everything before a drift, so their
+ * estimation restarts from the post-drift values. ADWIN has no warning
+ * zone; its warning flag stays false.
+ *
+ *   'adwin'         adaptive window, exponential histogram (adwin.js)
+ *   'ddm'           Gama et al. 2004, error rate p + s vs its minimum
+ *   'eddm'          Baena-García et al. 2006, distance between errors
+ *   'page-hinkley'  cumulative deviation above the running mean
+ *   'kswin'         Raab et al. 2020, Kolmogorov-Smirnov on a sliding window
+ *   'hddm-a'        Frías-Blanco et al. 2015, Hoeffding bounds on averages
+ */
+
+const ADWIN = require('./adwin.js');
+
+/** Kolmogorov distribution tail Q(λ) = 2 Σ (−1)^{j−1} e^{−2j²λ²} */
+function kolmogorovQ(lambda) {
+  if (lambda < 0.2) return 1;
+  let sum = 0;
+  for (let j = 1; j <= 100; j++) {
+    const term = Math.exp(-2 * j * j * lambda * lambda);
+    sum += (j % 2 ? 1 : -1) * term;
+    if (term < 1e-10) break;
+  }
+  return Math.min(1, Math.max(0, 2 * sum));
+}
+
+/** Two-sample KS statistic and asymptotic p-value (Numerical Recipes) */
+function ksTwoSample(a, b) {
+  const x = [...a].sort((p, q) => p - q);
+  const y = [...b].sort((p, q) => p - q);
+  let i = 0, j = 0, d = 0;
+  while (i < x.length && j < y.length) {
+    const v = Math.min(x[i], y[j]);
+    while (i < x.length && x[i] === v) i++;
+    while (j < y.length && y[j] === v) j++;
+    d = Math.max(d, Math.abs(i / x.length - j / y.length));
+  }
+  const en = Math.sqrt((x.length * y.length) / (x.length + y.length));
+  return { statistic: d, pValue: kolmogorovQ((en + 0.12 + 0.11 / en) * d) };
+}
+
+/** Fields and helpers every non-ADWIN detector shares */
+class BaseDetector {
+  constructor(type, { logger = console.log, now = Date.now } = {}) {
+    this.type = type;
+    this.logger = logger;
+    this.now = now;
+    this.warning = false;
+    this.drift = false;
+    this.driftCount = 0;
+    this.lastDriftAt = null;
+    this.n = 0;           // values since the last reset
+    this.sum = 0;
+    this.nCut = 0;        // n and sum at the detector's reference point
+    this.sumCut = 0;
+    this.lastCut = null;
+  }
+
+  get width() {
+    return this.n;
+  }
+
+  get estimation() {
+    return this.n > 0 ? this.sum / this.n : 0;
+  }
+
+  /** Shared bookkeeping at the start of update() */
+  _observe(value) {
+    this.warning = false;
+    this.drift = false;
+    this.n += 1;
+    this.sum += value;
+  }
+
+  /** The current values become the "before" side of a later cut */
+  _markCut() {
+    this.nCut = this.n;
+    this.sumCut = this.sum;
+  }
+
+  /** Stream split at the reference point */
+  _cut() {
+    const after = this.n - this.nCut;
+    return {
+      before: { width: this.nCut, mean: this.nCut > 0 ? this.sumCut / this.nCut : null },
+      after: { width: after, mean: after > 0 ? (this.sum - this.sumCut) / after : null }
+    };
+  }
+
+  /** Count and log a drift, then forget the pre-drift stream */
+  _signalDrift() {
+    const width = this.width;
+    this.lastCut = this._cut();
+    this.drift = true;
+    this.driftCount += 1;
+    this.lastDriftAt = this.now();
+    this.logger(`${this.type.toUpperCase()}: Concept drift detected after ${width} values`);
+    this._resetStream();
+  }
+
+  /** Forget the monitored stream but keep counters */
+  _resetStream() {
+    this.n = 0;
+    this.sum = 0;
+    this.nCut = 0;
+    this.sumCut = 0;
+  }
+
+  reset() {
+    this._resetStream();
+    this.warning = false;
+    this.drift = false;
+    this.driftCount = 0;
+    this.lastDriftAt = null;
+    this.lastCut = null;
+  }
+
+  getStatistics() {
+    return {
+      type: this.type,
+      width: this.width,
+      mean: this.estimation,
+      warning: this.warning,
+      currentDrift: this.drift,
+      driftCount: this.driftCount,
+      lastDriftAt: this.lastDriftAt
+    };
+  }
+
+  _baseJSON() {
+    return {
+      type: this.type,
+      n: this.n,
+      sum: this.sum,
+      nCut: this.nCut,
+      sumCut: this.sumCut,
+      driftCount: this.driftCount,
+      lastDriftAt: this.lastDriftAt,
+      lastCut: this.lastCut
+    };
+  }
+
+  _restoreBase(data) {
+    this.n = data.n ?? 0;
+    this.sum = data.sum ?? 0;
+    this.nCut = data.nCut ?? 0;
+    this.sumCut = data.sumCut ?? 0;
+    this.driftCount = data.driftCount ?? 0;
+    this.lastDriftAt = data.lastDriftAt ?? null;
+    this.lastCut = data.lastCut ?? null;
+  }
+}
+
+class DDM extends BaseDetector {
+  /**
+   * Error rate p and its std s = √(p(1−p)/n); warns when p + s exceeds
+   * the lowest p + s seen by warningLevel·s_min, drifts at driftLevel·s_min.
+   * @param {Object} [opts]
+   * @param {number} [opts.minInstances=30]
+   * @param {number} [opts.warningLevel=2]
+   * @param {number} [opts.driftLevel=3]
+   */
+  constructor({ minInstances = 30, warningLevel = 2, driftLevel = 3, ...deps } = {}) {
+    super('ddm', deps);
+    this.minInstances = minInstances;
+    this.warningLevel = warningLevel;
+    this.driftLevel = driftLevel;
+    this.pMin = Infinity;
+    this.sMin = Infinity;
+  }
+
+  update(value) {
+    this._observe(value);
+    const p = this.estimation;
+    const s = Math.sqrt((p * (1 - p)) / this.n);
+    if (this.n < this.minInstances) return;
+
+    if (p + s <= this.pMin + this.sMin) {
+      this.pMin = p;
+      this.sMin = s;
+      this._markCut();
+    }
+    if (p + s > this.pMin + this.driftLevel * this.sMin) this._signalDrift();
+    else if (p + s > this.pMin + this.warningLevel * this.sMin) this.warning = true;
+  }
+
+  _resetStream() {
+    super._resetStream();
+    this.pMin = Infinity;
+    this.sMin = Infinity;
+  }
+
+  toJSON() {
+    return {
+      ...this._baseJSON(),
+      minInstances: this.minInstances,
+      warningLevel: this.warningLevel,
+      driftLevel: this.driftLevel,
+      pMin: Number.isFinite(this.pMin) ? this.pMin : null,
+      sMin: Number.isFinite(this.sMin) ? this.sMin : null
+    };
+  }
+
+  static fromJSON(data, deps = {}) {
+    const d = new DDM({ ...data, ...deps });
+    d._restoreBase(data);
+    d.pMin = data.pMin ?? Infinity;
+    d.sMin = data.sMin ?? Infinity;
+    return d;
+  }
+}
+
+class EDDM extends BaseDetector {
+  /**
+   * Mean p' and std s' of the distance between consecutive errors; warns
+   * when (p' + 2s') falls below warningRatio of its maximum, drifts below
+   * driftRatio. Values > 0.5 count as errors.
+   * @param {Object} [opts]
+   * @param {number} [opts.minErrors=30]
+   * @param {number} [opts.warningRatio=0.95]
+   * @param {number} [opts.driftRatio=0.9]
+   */
+  constructor({ minErrors = 30, warningRatio = 0.95, driftRatio = 0.9, ...deps } = {}) {
+    super('eddm', deps);
+    this.minErrors = minErrors;
+    this.warningRatio = warningRatio;
+    this.driftRatio = driftRatio;
+    this._resetDistances();
+  }
+
+  _resetDistances() {
+    this.errors = 0;
+    this.lastError = 0;
+    this.distMean = 0;
+    this.distM2 = 0;
+    this.maxLevel = 0;
+  }
+
+  update(value) {
+    this._observe(value);
+    if (value <= 0.5) return;
+
+    const distance = this.n - this.lastError;
+    this.lastError = this.n;
+    this.errors += 1;
+    const delta = distance - this.distMean;
+    this.distMean += delta / this.errors;
+    this.distM2 += delta * (distance - this.distMean);
+
+    // the first errors give a noisy distance estimate; a maximum taken from
+    // them would make later, ordinary levels look like a drop (as in MOA)
+    if (this.errors < this.minErrors) return;
+    const level = this.distMean + 2 * Math.sqrt(this.distM2 / this.errors);
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this._markCut();
+      return;
+    }
+    const ratio = level / this.maxLevel;
+    if (ratio < this.driftRatio) this._signalDrift();
+    else if (ratio < this.warningRatio) this.warning = true;
+  }
+
+  _resetStream() {
+    super._resetStream();
+    this._resetDistances();
+  }
+
+  toJSON() {
+    return {
+      ...this._baseJSON(),
+      minErrors: this.minErrors,
+      warningRatio: this.warningRatio,
+      driftRatio: this.driftRatio,
+      errors: this.errors,
+      lastError: this.lastError,
+      distMean: this.distMean,
+      distM2: this.distM2,
+      maxLevel: this.maxLevel
+    };
+  }
+
+  static fromJSON(data, deps = {}) {
+    const d = new EDDM({ ...data, ...deps });
+    d._restoreBase(data);
+    d.errors = data.errors ?? 0;
+    d.lastError = data.lastError ?? 0;
+    d.distMean = data.distMean ?? 0;
+    d.distM2 = data.distM2 ?? 0;
+    d.maxLevel = data.maxLevel ?? 0;
+    return d;
+  }
+}
+
+class PageHinkley extends BaseDetector {
+  /**
+   * One-sided test for an increase: m_T = α·m_{T−1} + (x − x̄ − δ), drift
+   * when m_T − min m exceeds threshold, warning above warningThreshold.
+   * @param {Object} [opts]
+   * @param {number} [opts.minInstances=30]
+   * @param {number} [opts.delta=0.005]     tolerated change magnitude
+   * @param {number} [opts.threshold=50]    λ
+   * @param {number} [opts.warningThreshold=threshold/2]
+   * @param {number} [opts.alpha=0.9999]    fading factor on m_T
+   */
+  constructor({
+    minInstances = 30,
+    delta = 0.005,
+    threshold = 50,
+    warningThreshold = threshold / 2,
+    alpha = 0.9999,
+    ...deps
+  } = {}) {
+    super('page-hinkley', deps);
+    this.minInstances = minInstances;
+    this.delta = delta;
+    this.threshold = threshold;
+    this.warningThreshold = warningThreshold;
+    this.alpha = alpha;
+    this.cumulative = 0;
+    this.minimum = 0;
+  }
+
+  update(value) {
+    this._observe(value);
+    this.cumulative = this.alpha * this.cumulative + (value - this.estimation - this.delta);
+    if (this.cumulative < this.minimum) {
+      this.minimum = this.cumulative;
+      this._markCut();
+    }
+    if (this.n < this.minInstances) return;
+
+    const ph = this.cumulative - this.minimum;
+    if (ph > this.threshold) this._signalDrift();
+    else if (ph > this.warningThreshold) this.warning = true;
+  }
+
+  _resetStream() {
+    super._resetStream();
+    this.cumulative = 0;
+    this.minimum = 0;
+  }
+
+  toJSON() {
+    return {
+      ...this._baseJSON(),
+      minInstances: this.minInstances,
+      delta: this.delta,
+      threshold: this.threshold,
+      warningThreshold: this.warningThreshold,
+      alpha: this.alpha,
+      cumulative: this.cumulative,
+      minimum: this.minimum
+    };
+  }
+
+  static fromJSON(data, deps = {}) {
+    const d = new PageHinkley({ ...data, ...deps });
+    d._restoreBase(data);
+    d.cumulative = data.cumulative ?? 0;
+    d.minimum = data.minimum ?? 0;
+    return d;
+  }
+}
+
+class KSWIN extends BaseDetector {
+  /**
+   * Sliding window of windowSize values; once full, the newest statSize
+   * values are KS-tested against statSize values drawn from the rest.
+   * On drift only the newest statSize values are kept.
+   * @param {Object} [opts]
+   * @param {number} [opts.windowSize=100]
+   * @param {number} [opts.statSize=30]
+   * @param {number} [opts.alpha=0.005]         drift p-value
+   * @param {number} [opts.warningAlpha=0.05]   warning p-value
+   * @param {function():number} [opts.random=Math.random] PRNG for the reference sample
+   */
+  constructor({
+    windowSize = 100,
+    statSize = 30,
+    alpha = 0.005,
+    warningAlpha = 0.05,
+    random = Math.random,
+    ...deps
+  } = {}) {
+    super('kswin', deps);
+    if (statSize * 2 > windowSize) throw new Error('KSWIN needs windowSize >= 2·statSize');
+    this.windowSize = windowSize;
+    this.statSize = statSize;
+    this.alpha = alpha;
+    this.warningAlpha = warningAlpha;
+    this.random = random;
+    this.window = [];
+    this.lastPValue = null;
+  }
+
+  get width() {
+    return this.window.length;
+  }
+
+  get estimation() {
+    return this.window.length ? this.window.reduce((s, v) => s + v, 0) / this.window.length : 0;
+  }
+
+  update(value) {
+    this.warning = false;
+    this.drift = false;
+    this.window.push(value);
+    if (this.window.length > this.windowSize) this.window.shift();
+    if (this.window.length < this.windowSize) return;
+
+    const older = this.window.length - this.statSize;
+    const reference = [];
+    for (let k = 0; k < this.statSize; k++) {
+      reference.push(this.window[Math.floor(this.random() * older)]);
+    }
+    const { statistic, pValue } = ksTwoSample(reference, this.window.slice(older));
+    this.lastPValue = pValue;
+    if (pValue <= this.alpha && statistic > 0.1) this._signalDrift();
+    else if (pValue <= this.warningAlpha) this.warning = true;
+  }
+
+  /** Older part of the window vs the newest statSize values */
+  _cut() {
+    const older = this.window.length - this.statSize;
+    const mean = arr => arr.reduce((s, v) => s + v, 0) / arr.length;
+    return {
+      before: { width: older, mean: mean(this.window.slice(0, older)) },
+      after: { width: this.statSize, mean: mean(this.window.slice(older)) }
+    };
+  }
+
+  _resetStream() {
+    this.window = this.window.slice(-this.statSize);
+  }
+
+  reset() {
+    super.reset();
+    this.window = [];
+    this.lastPValue = null;
+  }
+
+  getStatistics() {
+    return { ...super.getStatistics(), pValue: this.lastPValue };
+  }
+
+  toJSON() {
+    return {
+      type: this.type,
+      windowSize: this.windowSize,
+      statSize: this.statSize,
+      alpha: this.alpha,
+      warningAlpha: this.warningAlpha,
+      window: [...this.window],
+      driftCount: this.driftCount,
+      lastDriftAt: this.lastDriftAt,
+      lastCut: this.lastCut
+    };
+  }
+
+  static fromJSON(data, deps = {}) {
+    const d = new KSWIN({ ...data, ...deps });
+    d.window = (data.window ?? []).slice(-d.windowSize);
+    d.driftCount = data.driftCount ?? 0;
+    d.lastDriftAt = data.lastDriftAt ?? null;
+    d.lastCut = data.lastCut ?? null;
+    return d;
+  }
+}
+
+class HDDM_A extends BaseDetector {
+  /**
+   * A-test for an increase in the mean of values in [0, 1]: the cut point
+   * is where X̄ + ε is lowest, and the mean since then is compared with the
+   * mean up to it through Hoeffding's bound.
+   * @param {Object} [opts]
+   * @param {number} [opts.driftConfidence=0.001]
+   * @param {number} [opts.warningConfidence=0.005]
+   */
+  constructor({ driftConfidence = 0.001, warningConfidence = 0.005, ...deps } = {}) {
+    super('hddm-a', deps);
+    this.driftConfidence = driftConfidence;
+    this.warningConfidence = warningConfidence;
+  }
+
+  /** Hoeffding ε for a mean over n values */
+  _bound(n) {
+    return Math.sqrt(Math.log(1 / this.driftConfidence) / (2 * n));
+  }
+
+  /** H0: mean after the cut is no larger than the mean up to it */
+  _meanIncreased(confidence) {
+    if (this.n === this.nCut) return false;
+    const m = ((this.n - this.nCut) / this.nCut) * (1 / this.n);
+    const bound = Math.sqrt((m / 2) * Math.log(2 / confidence));
+    return this.sum / this.n - this.sumCut / this.nCut >= bound;
+  }
+
+  update(value) {
+    this._observe(value);
+    if (this.nCut === 0 ||
+        this.sum / this.n + this._bound(this.n) <= this.sumCut / this.nCut + this._bound(this.nCut)) {
+      this._markCut();
+    }
+    if (this._meanIncreased(this.driftConfidence)) this._signalDrift();
+    else if (this._meanIncreased(this.warningConfidence)) this.warning = true;
+  }
+
+  toJSON() {
+    return {
+      ...this._baseJSON(),
+      driftConfidence: this.driftConfidence,
+      warningConfidence: this.warningConfidence
+    };
+  }
+
+  static fromJSON(data, deps = {}) {
+    const d = new HDDM_A({ ...data, ...deps });
+    d._restoreBase(data);
+    return d;
+  }
+}
+
+const DETECTORS = {
+  adwin: ADWIN,
+  ddm: DDM,
+  eddm: EDDM,
+  'page-hinkley': PageHinkley,
+  kswin: KSWIN,
+  'hddm-a': HDDM_A
+};
+
+/**
+ * @param {'adwin'|'ddm'|'eddm'|'page-hinkley'|'kswin'|'hddm-a'} type
+ * @param {Object} [opts] - detector-specific options plus logger / now / random
+ */
+function createDriftDetector(type, opts = {}) {
+  const Detector = DETECTORS[type];
+  if (!Detector) {
+    throw new Error(`Unknown drift detector "${type}" (expected ${Object.keys(DETECTORS).join(', ')})`);
+  }
+  return new Detector(opts);
+}
+
+/**
+ * Rebuild a detector from toJSON() output; data without a type is an ADWIN
+ * written before detectors were pluggable.
+ * @param {Object} data
+ * @param {{logger?:function(string):void, now?:function():number, random?:function():number}} [deps]
+ */
+function detectorFromJSON(data, deps = {}) {
+  const type = data.type ?? 'adwin';
+  const Detector = DETECTORS[type];
+  if (!Detector) throw new Error(`Unknown drift detector "${type}"`);
+  if (Detector === ADWIN) return ADWIN.fromJSON(data, deps.logger, deps.now);
+  return Detector.fromJSON(data, deps);
+}
+
+module.exports = {
+  DDM,
+  EDDM,
+  PageHinkley,
+  KSWIN,
+  HDDM_A,
+  createDriftDetector,
+  detectorFromJSON,
+  ksTwoSample,
+  DRIFT_DETECTOR_TYPES: Object.keys(DETECTORS)
+};
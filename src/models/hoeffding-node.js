@@ -4,42 +4,20 @@ const {
   calculateEntropy,
   HoeffdingBound
 } = require('../utils/entropy-hoeffdingBound.js');
-
-/**
- * Internal helper – binary-search insertion index.
- * Returns the position where v should be inserted in sorted array arr.
- */
-function binarySearchInsert(arr, v) {
-  let lo = 0;
-  let hi = arr.length;
-  while (lo < hi) {
-    const mid = (lo + hi) >>> 1;
-    if (arr[mid] < v) lo = mid + 1;
-    else hi = mid;
-  }
-  return lo;
-}
-
-function* mergeSortedClassBuffers(buffers) {
-  const indices = new Array(buffers.length).fill(0);
-
-  while (true) {
-    let minValue = Infinity;
-    let minClass = -1;
-
-    for (let c = 0; c < buffers.length; c++) {
-      const i = indices[c];
-      if (i < buffers[c].length && buffers[c][i] < minValue) {
-        minValue = buffers[c][i];
-        minClass = c;
-      }
-    }
-
-    if (minClass === -1) break;
-
-    yield { v: minValue, c: minClass };
-    indices[minClass]++;
-  }
+const { createDriftDetector, detectorFromJSON } = require('./drift-detectors.js');
+const {
+  createObserver,
+  observerFromJSON
+} = require('./attribute-observers.js');
+
+// variance floor for Naive Bayes Gaussians (features are z-scored upstream)
+const NB_MIN_VARIANCE = 1e-4;
+
+/** Index of the largest entry (first one on ties). */
+function argMax(arr) {
+  let best = 0;
+  for (let i = 1; i < arr.length; i++) if (arr[i] > arr[best]) best = i;
+  return best;
 }
 
 class HoeffdingNode {
@@ -49,14 +27,20 @@ class HoeffdingNode {
    * @param {number} opts.nFeatures  – fixed feature vector length
    * @param {string} [opts.id]       – unique node id (auto if omitted)
    * @param {number} [opts.cacheSize=1024]  – LRU entropy cache size
-   * @param {number} [opts.bufferMax=10000] – maximum values per class/feature
+   * @param {'gaussian'|'histogram'} [opts.observer='gaussian'] – numeric attribute observer
+   * @param {Object} [opts.observerOpts]    – passed to the observer constructor
+   * @param {function():number} [opts.now=Date.now]        – clock (ids, drift detector)
+   * @param {function():number} [opts.random=Math.random]  – PRNG in [0, 1) for ids
    */
   constructor({
     nClasses,
     nFeatures,
     id = null,
     cacheSize = 1024,
-    bufferMax = 10_000
+    observer = 'gaussian',
+    observerOpts = {},
+    now = Date.now,
+    random = Math.random
   }) {
     if (!Number.isInteger(nClasses) || nClasses <= 0) {
       throw new Error('nClasses must be a positive integer');
@@ -65,7 +49,9 @@ class HoeffdingNode {
       throw new Error('nFeatures must be a positive integer');
     }
 
-    this.id = id || `n_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+    this._now = now;
+    this._random = random;
+    this.id = id || `n_${now()}_${random().toString(36).slice(2)}`;
     this.nClasses = nClasses;
     this.nFeatures = nFeatures;
 
@@ -73,8 +59,10 @@ class HoeffdingNode {
     this.classStats = new Uint32Array(nClasses);
     this.instanceCount = 0;
 
-    /** Map featureIndex → Array<classIndex → sorted numeric array> */
-    this.sortedValues = new Map();
+    /** Map featureIndex → bounded per-class attribute observer */
+    this.observers = new Map();
+    this._observerType = observer;
+    this._observerOpts = observerOpts;
 
     // split attributes
     this.splitFeature = null;
@@ -87,10 +75,23 @@ class HoeffdingNode {
     this._lruOrder = [];
     this._cacheSize = cacheSize;
 
-    // buffer cap
-    this._bufferMax = bufferMax;
-    // cache for last best split result
-    this._cachedSplit = null;
+    // cache for last best split result (undefined = not yet evaluated)
+    this._cachedSplit = undefined;
+    // instanceCount at the last split evaluation (re-evaluate every grace period)
+    this._lastSplitEval = 0;
+
+    // Hoeffding Adaptive Tree state: error monitor for the subtree rooted
+    // here and, after a warning or drift, a candidate replacement grown
+    // alongside it (alternateReason: 'warning' or 'drift', for inspection;
+    // both are swapped in on the same significance test)
+    this.errorDetector = null;
+    this.alternate = null;
+    this.alternateReason = null;
+
+    // NB-adaptive bookkeeping: how often each leaf-prediction strategy
+    // would have been right at this leaf
+    this.mcCorrect = 0;
+    this.nbCorrect = 0;
   }
 
   /* --------------------------- helpers --------------------------- */
@@ -134,21 +135,16 @@ class HoeffdingNode {
       const v = features[i];
       if (v == null || Number.isNaN(v)) continue;
 
-      if (!this.sortedValues.has(i)) {
-        this.sortedValues.set(
-          i,
-          Array.from({ length: this.nClasses }, () => [])
-        );
+      let obs = this.observers.get(i);
+      if (!obs) {
+        obs = createObserver(this._observerType, this.nClasses, this._observerOpts);
+        this.observers.set(i, obs);
       }
-      const buffers = this.sortedValues.get(i);
-      const arr = buffers[classLabel];
-      const idx = binarySearchInsert(arr, v);
-      arr.splice(idx, 0, v);
-      if (arr.length > this._bufferMax) arr.shift(); // drop oldest
+      obs.observe(v, classLabel);
     }
 
     // invalidate split cache after stats change
-    this._cachedSplit = null;
+    this._cachedSplit = undefined;
   }
 
   /* ---------------------- split evaluation ---------------------- */
@@ -158,65 +154,53 @@ class HoeffdingNode {
    * @returns {boolean}
    */
   shouldSplit(gracePeriod, delta) {
-    if (this.instanceCount < gracePeriod) return false;
-    if (this.sortedValues.size === 0) return false;
-    // cache best split to avoid recomputation
-    if (this._cachedSplit === undefined)
-      this._cachedSplit = this._findBestSplit(delta);
+    if (this._cachedSplit) return true;
+    // only evaluate once per grace period of new instances
+    if (this.instanceCount - this._lastSplitEval < gracePeriod) return false;
+    if (this.observers.size === 0) return false;
+    this._lastSplitEval = this.instanceCount;
+    this._cachedSplit = this._findBestSplit(delta);
     return this._cachedSplit !== null;
   }
 
   /**
-   * Returns best split {feature,value} or null
+   * Returns best split {feature,value,left,right} or null.
+   * left/right are the per-class weights the observer expects on each side.
    */
   _findBestSplit(delta) {
-    const H0 = this._memoEntropy(this.classStats);
+    const N = this.instanceCount;
+    let best = null;
     let bestGain = -Infinity;
-    let bestFeat = null;
-    let bestVal = null;
-
-    if (this.instanceCount === 0) return null;
-
-    for (const [f, buffers] of this.sortedValues.entries()) {
-    const iterator = mergeSortedClassBuffers(buffers);
-    const flat = Array.from(iterator);
 
-      const leftStats = new Uint32Array(this.nClasses);
+    if (N === 0) return null;
 
-      for (let i = 1; i < flat.length; i++) {
-        const clsLeft = flat[i - 1].c;
-        leftStats[clsLeft]++;
+    for (const [f, obs] of this.observers.entries()) {
+      for (const cand of obs.getSplitSuggestions()) {
+        const nl = cand.left.reduce((a, b) => a + b, 0);
+        const nr = cand.right.reduce((a, b) => a + b, 0);
+        const n = nl + nr;
+        if (nl === 0 || nr === 0) continue;
 
-        // skip equal consecutive values
-        if (flat[i].v === flat[i - 1].v) continue;
-
-        const cutValue = (flat[i].v + flat[i - 1].v) / 2;
-        const leftCount = i;
-        const rightCount = n - leftCount;
-        if (leftCount === 0 || rightCount === 0) continue;
-
-        const rightStats = new Uint32Array(this.nClasses);
-        for (let c = 0; c < this.nClasses; c++) {
-          rightStats[c] = this.classStats[c] - leftStats[c];
-        }
-
-        const Hl = this._memoEntropy(leftStats);
-        const Hr = this._memoEntropy(rightStats);
+        // class totals of the values this observer saw (classStats may
+        // include a prior seeded at split time)
+        const totals = cand.left.map((l, c) => l + cand.right[c]);
+        const H0 = this._memoEntropy(totals);
         const Hw =
-          (leftCount / n) * Hl + (rightCount / n) * Hr;
+          (nl / n) * calculateEntropy(cand.left) +
+          (nr / n) * calculateEntropy(cand.right);
         const gain = H0 - Hw;
 
         if (gain > bestGain) {
           bestGain = gain;
-          bestFeat = f;
-          bestVal = cutValue;
+          best = { feature: f, value: cand.value, left: cand.left, right: cand.right };
         }
       }
     }
 
-    if (bestFeat === null) return null;
-    const epsilon = HoeffdingBound(delta, n);
-    return bestGain > epsilon ? { feature: bestFeat, value: bestVal } : null;
+    if (best === null) return null;
+    // information gain ranges over [0, log2(nClasses)]
+    const epsilon = HoeffdingBound(delta, N, Math.log2(this.nClasses));
+    return bestGain > epsilon ? best : null;
   }
 
   /* ------------------------- splitting -------------------------- */
@@ -227,7 +211,7 @@ class HoeffdingNode {
   split() {
     if (!this.isLeaf() || !this._cachedSplit) return false;
 
-    const { feature, value } = this._cachedSplit;
+    const { feature, value, left, right } = this._cachedSplit;
 
     this.splitFeature = feature;
     this.splitValue = value;
@@ -236,30 +220,30 @@ class HoeffdingNode {
       nClasses: this.nClasses,
       nFeatures: this.nFeatures,
       cacheSize: this._cacheSize,
-      bufferMax: this._bufferMax
+      observer: this._observerType,
+      observerOpts: this._observerOpts,
+      now: this._now,
+      random: this._random
     };
     this.leftChild = new HoeffdingNode(commonOpts);
     this.rightChild = new HoeffdingNode(commonOpts);
 
-    // replay buffered data
-    for (const [f, buffers] of this.sortedValues.entries()) {
-      buffers.forEach((arr, c) => {
-        for (const v of arr) {
-          const child = v <= value ? this.leftChild : this.rightChild;
-          const feats = new Array(this.nFeatures).fill(null);
-          feats[f] = v;
-          child.updateStats(feats, c);
-        }
-      });
+    // Seed each child's class distribution from the split observer so it can
+    // predict straight away. Observers summarise features independently, so
+    // children start with empty attribute statistics (instanceCount counts
+    // from the split).
+    for (let c = 0; c < this.nClasses; c++) {
+      this.leftChild.classStats[c] = Math.round(left[c]);
+      this.rightChild.classStats[c] = Math.round(right[c]);
     }
 
     // clear for GC
-    this.sortedValues.clear();
+    this.observers.clear();
     this.classStats.fill(0);
     this.instanceCount = 0;
     this._entropyCache.clear();
     this._lruOrder.length = 0;
-    this._cachedSplit = null;
+    this._cachedSplit = undefined;
     return true;
   }
 
@@ -283,15 +267,90 @@ class HoeffdingNode {
     return Array.from(this.classStats);
   }
 
+  /**
+   * Naive Bayes class distribution for one instance, normalised to sum to 1.
+   * Uses class counts as the prior and each observer's per-class Gaussian;
+   * features without statistics are ignored.
+   * @param {number[]} features
+   * @returns {number[]}
+   */
+  getNaiveBayesDistribution(features) {
+    const total = this.classStats.reduce((a, b) => a + b, 0);
+    if (total === 0) return new Array(this.nClasses).fill(0);
+
+    const logP = Array.from(this.classStats, cnt =>
+      cnt > 0 ? Math.log(cnt / total) : -Infinity
+    );
+
+    for (const [f, obs] of this.observers.entries()) {
+      const v = features[f];
+      if (v == null || Number.isNaN(v)) continue;
+      for (let c = 0; c < this.nClasses; c++) {
+        if (logP[c] === -Infinity) continue;
+        const g = obs.getGaussian(c);
+        // a class with no values for f gives no evidence either way
+        if (!g) continue;
+        const variance = Math.max(g.variance, NB_MIN_VARIANCE);
+        const d = v - g.mean;
+        logP[c] += -0.5 * Math.log(2 * Math.PI * variance) -
+          (d * d) / (2 * variance);
+      }
+    }
+
+    // log-sum-exp normalisation
+    const max = Math.max(...logP);
+    if (max === -Infinity) return new Array(this.nClasses).fill(0);
+    const p = logP.map(l => Math.exp(l - max));
+    const sum = p.reduce((a, b) => a + b, 0);
+    return p.map(x => x / sum);
+  }
+
+  /**
+   * NB-adaptive bookkeeping: score both strategies on a labelled instance
+   * before it is absorbed into the leaf statistics.
+   */
+  recordLeafAccuracy(features, classLabel) {
+    if (argMax(this.getClassDistribution()) === classLabel) this.mcCorrect++;
+    if (argMax(this.getNaiveBayesDistribution(features)) === classLabel) this.nbCorrect++;
+  }
+
+  /* ------------------ adaptive (HAT) helpers -------------------- */
+
+  /**
+   * Lazily attach the drift detector that tracks this subtree's 0/1 error
+   * stream.
+   * @param {string} type – drift-detectors.js type, e.g. 'adwin'
+   * @param {Object} [opts] – detector options (e.g. { delta } for ADWIN)
+   * @returns {Object} detector
+   */
+  ensureErrorDetector(type, opts = {}) {
+    if (!this.errorDetector) {
+      this.errorDetector = createDriftDetector(type, {
+        ...opts,
+        logger: () => {},
+        now: this._now,
+        random: this._random
+      });
+    }
+    return this.errorDetector;
+  }
+
+  /** Mean error the detector currently estimates (0 if unmonitored). */
+  getErrorEstimate() {
+    return this.errorDetector ? this.errorDetector.estimation : 0;
+  }
+
+  /** Number of observations behind that estimate. */
+  getErrorWidth() {
+    return this.errorDetector ? this.errorDetector.width : 0;
+  }
+
   /* ------------------ (de)serialisation ------------------------- */
 
   toJSON() {
-    const vals = [];
-    for (let f = 0; f < this.nFeatures; f++) {
-      vals.push({
-        feature: f,
-        buffers: this.sortedValues.get(f) || []
-      });
+    const observers = [];
+    for (const [feature, obs] of this.observers.entries()) {
+      observers.push({ feature, ...obs.toJSON() });
     }
     const obj = {
       id: this.id,
@@ -301,36 +360,78 @@ class HoeffdingNode {
       instanceCount: this.instanceCount,
       splitFeature: this.splitFeature,
       splitValue: this.splitValue,
-      sortedValues: vals
+      observer: this._observerType,
+      observerOpts: this._observerOpts,
+      lastSplitEval: this._lastSplitEval,
+      observers
     };
     if (!this.isLeaf()) {
       obj.leftChild = this.leftChild.toJSON();
       obj.rightChild = this.rightChild.toJSON();
     }
+    if (this.mcCorrect || this.nbCorrect) {
+      obj.mcCorrect = this.mcCorrect;
+      obj.nbCorrect = this.nbCorrect;
+    }
+    if (this.errorDetector) obj.errorDetector = this.errorDetector.toJSON();
+    if (this.alternate) {
+      obj.alternate = this.alternate.toJSON();
+      obj.alternateReason = this.alternateReason;
+    }
     return obj;
   }
 
-  /** Rebuild node (and subtree) from plain JSON. */
-  static fromJSON(data) {
+  /**
+   * Rebuild node (and subtree) from plain JSON.
+   * @param {Object} data
+   * @param {{now?:function():number, random?:function():number}} [deps]
+   */
+  static fromJSON(data, deps = {}) {
     const node = new HoeffdingNode({
       nClasses: data.nClasses,
       nFeatures: data.nFeatures,
       cacheSize: 1024,
-      bufferMax: 10000,
-      id: data.id
+      observer: data.observer ?? 'gaussian',
+      observerOpts: data.observerOpts ?? {},
+      id: data.id,
+      ...deps
     });
     node.classStats = Uint32Array.from(data.classStats);
     node.instanceCount = data.instanceCount;
     node.splitFeature = data.splitFeature;
     node.splitValue = data.splitValue;
+    node.mcCorrect = data.mcCorrect ?? 0;
+    node.nbCorrect = data.nbCorrect ?? 0;
+
+    node._lastSplitEval = data.lastSplitEval ?? 0;
+
+    (data.observers || []).forEach(o => {
+      node.observers.set(o.feature, observerFromJSON(o));
+    });
 
-    data.sortedValues.forEach(({ feature, buffers }) => {
-      node.sortedValues.set(feature, buffers);
+    // checkpoints written before attribute observers stored raw sorted
+    // values per class; fold them into fresh observers
+    (data.sortedValues || []).forEach(({ feature, buffers }) => {
+      if (!buffers.length) return;
+      const obs = createObserver(node._observerType, node.nClasses, node._observerOpts);
+      buffers.forEach((arr, c) => arr.forEach(v => obs.observe(v, c)));
+      node.observers.set(feature, obs);
     });
 
     if (data.leftChild) {
-      node.leftChild = HoeffdingNode.fromJSON(data.leftChild);
-      node.rightChild = HoeffdingNode.fromJSON(data.rightChild);
+      node.leftChild = HoeffdingNode.fromJSON(data.leftChild, deps);
+      node.rightChild = HoeffdingNode.fromJSON(data.rightChild, deps);
+    }
+    if (data.errorDetector) {
+      node.errorDetector = detectorFromJSON(data.errorDetector, {
+        logger: () => {},
+        now: node._now,
+        random: node._random
+      });
+    }
+    if (data.alternate) {
+      node.alternate = HoeffdingNode.fromJSON(data.alternate, deps);
+      node.alternateReason = data.alternateReason ?? 'drift';
     }
     return node;
   }
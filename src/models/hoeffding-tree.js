@@ -1,9 +1,37 @@
 'use strict';
 
 const HoeffdingNode = require('./hoeffding-node.js');
-const ADWIN = require('./adwin.js');
+const { createDriftDetector, detectorFromJSON, DRIFT_DETECTOR_TYPES } = require('./drift-detectors.js');
 const CircularBuffer = require('../utils/circular-buffer.js');
 
+/** Leaf prediction strategies: majority class, Naive Bayes, NB-adaptive */
+const LEAF_PREDICTION = ['mc', 'nb', 'nba'];
+
+/** Drift events kept for takeDriftEvents(); older ones are dropped if nobody takes them */
+const MAX_PENDING_DRIFT_EVENTS = 50;
+
+/** Per-feature { n, mean, sd, min, max } over a list of feature vectors */
+function summarizeFeatures(vectors, nFeatures) {
+  const out = [];
+  for (let j = 0; j < nFeatures; j++) {
+    let n = 0, mean = 0, m2 = 0, min = Infinity, max = -Infinity;
+    for (const vec of vectors) {
+      const v = vec[j];
+      if (v == null || Number.isNaN(v)) continue;
+      n++;
+      const d = v - mean;
+      mean += d / n;
+      m2 += d * (v - mean);
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+    out.push(n
+      ? { n, mean, sd: Math.sqrt(m2 / n), min, max }
+      : { n: 0, mean: null, sd: null, min: null, max: null });
+  }
+  return out;
+}
+
 class HoeffdingTree {
   /**
    * @param {Object} opts
@@ -14,35 +42,50 @@ class HoeffdingTree {
    * @param {number} [opts.delta=0.05]
    * @param {number} [opts.feedbackWeight=2]
    * @param {number} [opts.cacheSize=1024]
-   * @param {number} [opts.bufferMax=10000]
+   * @param {'gaussian'|'histogram'} [opts.observer='gaussian'] - numeric attribute observer
+   * @param {Object} [opts.observerOpts] - e.g. { nSplitPoints } or { maxBins }
    * @param {number} [opts.historySize=500]
    * @param {number} [opts.structureHistorySize=100]
-   * @param {number} [opts.adwinDelta=0.002]
+   * @param {'adwin'|'ddm'|'eddm'|'page-hinkley'|'kswin'|'hddm-a'} [opts.driftDetector='adwin']
+   *        error-stream detector, tree-wide and per node (see drift-detectors.js)
+   * @param {Object} [opts.driftDetectorOpts] - options for that detector
+   * @param {number} [opts.adwinDelta=0.002]  - ADWIN confidence (overrides driftDetectorOpts.delta)
+   * @param {number} [opts.nodeAdwinDelta]  - per-node error ADWIN (defaults to adwinDelta)
+   * @param {number} [opts.altMinSamples=100] - alternate must see this many before comparison
+   * @param {number} [opts.swapDelta=0.05]  - confidence for alternate swap / prune decisions
+   * @param {'mc'|'nb'|'nba'} [opts.leafPrediction='nba'] - majority class, Naive Bayes
+   *        or NB-adaptive (whichever has been more accurate at that leaf)
+   * @param {function():number} [opts.now=Date.now] - clock for timestamps, node ids, detectors
+   * @param {function():number} [opts.random=Math.random] - PRNG in [0, 1) for node ids, KSWIN
    */
   constructor(opts = {}) {
     if (!Number.isInteger(opts.nFeatures) || opts.nFeatures <= 0)
       throw new Error('nFeatures must be a positive integer');
 
+    // injectable clock / PRNG so replays are reproducible
+    this.now = opts.now ?? Date.now;
+    this.random = opts.random ?? Math.random;
+
     // core parameters
     this.nFeatures = opts.nFeatures;
     this.numClasses = opts.nClasses ?? 3;
     this.classLabels =
       opts.classLabels ?? ['productive', 'non-productive', 'overuse'];
 
+    this.leafPrediction = opts.leafPrediction ?? 'nba';
+    if (!LEAF_PREDICTION.includes(this.leafPrediction))
+      throw new Error(`leafPrediction must be one of ${LEAF_PREDICTION.join(', ')}`);
+
     this.gracePeriod = opts.gracePeriod ?? 200;
     this.delta = opts.delta ?? 0.05;
     this.feedbackWeight = opts.feedbackWeight ?? 3.5;
 
     this.cacheSize = opts.cacheSize ?? 1024;
-    this.bufferMax = opts.bufferMax ?? 10000;
+    this.observer = opts.observer ?? 'gaussian';
+    this.observerOpts = opts.observerOpts ?? {};
 
     // root node
-    this.root = new HoeffdingNode({
-      nClasses: this.numClasses,
-      nFeatures: this.nFeatures,
-      cacheSize: this.cacheSize,
-      bufferMax: this.bufferMax
-    });
+    this.root = this._newNode();
 
     // online statistics
     this.instancesSeen = 0;
@@ -54,10 +97,30 @@ class HoeffdingTree {
     this.accuracyHistory = new CircularBuffer(hSize);
     this.errorRateHistory = new CircularBuffer(hSize);
     this.timestamps = new CircularBuffer(hSize);
+    this.featureHistory = new CircularBuffer(hSize);   // inputs behind the error stream
     this.treeHistory = new CircularBuffer(opts.structureHistorySize ?? 100);
 
-    // drift detector
-    this.driftDetector = new ADWIN({ delta: opts.adwinDelta ?? 0.002 });
+    // drift detector (tree-wide error; adaptation itself happens per node)
+    this.driftDetectorType = opts.driftDetector ?? 'adwin';
+    if (!DRIFT_DETECTOR_TYPES.includes(this.driftDetectorType))
+      throw new Error(`driftDetector must be one of ${DRIFT_DETECTOR_TYPES.join(', ')}`);
+    this.driftDetectorOpts = opts.driftDetectorOpts ?? {};
+    this.adwinDelta = opts.adwinDelta ?? 0.002;
+    this.driftDetector = createDriftDetector(this.driftDetectorType, {
+      ...this._detectorOpts(this.adwinDelta),
+      now: this.now,
+      random: this.random
+    });
+    this.warningCount = 0;
+    this.pendingDriftEvents = [];   // tree-wide detections not yet taken
+
+    // Hoeffding Adaptive Tree parameters and counters
+    this.nodeAdwinDelta = opts.nodeAdwinDelta ?? this.adwinDelta;
+    this.altMinSamples = opts.altMinSamples ?? 100;
+    this.swapDelta = opts.swapDelta ?? 0.05;
+    this.altTreesCreated = 0;
+    this.altTreesSwapped = 0;
+    this.altTreesPruned = 0;
 
     // batched user feedback
     this.userFeedbackBuffer = [];
@@ -86,7 +149,8 @@ class HoeffdingTree {
     const correct = pred.prediction === actualClass;
     this.accuracyHistory.push(correct ? 1 : 0);
     this.errorRateHistory.push(correct ? 0 : 1);
-    this.timestamps.push(Date.now());
+    this.timestamps.push(this.now());
+    this.featureHistory.push(features);
 
     /* 2. buffer external feedback */
     if (feedback) {
@@ -102,6 +166,7 @@ class HoeffdingTree {
     /* 3. concept-drift monitoring */
     this.driftDetector.update(correct ? 0 : 1);
     if (this.driftDetector.drift) this._handleDrift();
+    else if (this.driftDetector.warning) this.warningCount++;
 
     /* 4. tree update with ground-truth */
     this._updateTree(features, actualClass);
@@ -112,17 +177,20 @@ class HoeffdingTree {
     return {
       updated: true,
       drift: this.driftDetector.drift,
+      warning: this.driftDetector.warning,
       recentAccuracy: this._recentAccuracy(),
       instancesSeen: this.instancesSeen,
       splitCount: this.splitCount,      
-      driftCount: this.driftCount
+      driftCount: this.driftCount,
+      alternateTrees: this._countAlternates(this.root),
+      altTreesSwapped: this.altTreesSwapped
     };
   }
 
   /** Predict class label only (no stats updated) */
   predict(features) {
     const leaf = this.root.findLeaf(features);
-    const dist = leaf.getClassDistribution();
+    const dist = this._leafDistribution(leaf, features);
     const total = dist.reduce((a, b) => a + b, 0);
     let best = 0,
       maxVotes = -1;
@@ -135,42 +203,126 @@ class HoeffdingTree {
     return {
       prediction: best,
       confidence: total ? maxVotes / total : 0,
+      probabilities: dist.map(cnt => (total ? cnt / total : 0)),
       classLabel: this.classLabels[best]
     };
   }
 
-  /** Export complete tree and meta-data to JSON string */
-  exportModel() {
-    return JSON.stringify({
+  /** Complete tree, drift detector and meta-data as a plain object */
+  toJSON() {
+    return {
       root: this.root.toJSON(),
       instancesSeen: this.instancesSeen,
       driftCount: this.driftCount,
+      warningCount: this.warningCount,
+      splitCount: this.splitCount,
+      altTreesCreated: this.altTreesCreated,
+      altTreesSwapped: this.altTreesSwapped,
+      altTreesPruned: this.altTreesPruned,
+      driftDetector: this.driftDetector.toJSON(),
+      userFeedbackBuffer: this.userFeedbackBuffer,
+      featureHistory: this.featureHistory.toArray(),
       hyperparameters: {
+        leafPrediction: this.leafPrediction,
         gracePeriod: this.gracePeriod,
         delta: this.delta,
         nFeatures: this.nFeatures,
         nClasses: this.numClasses,
+        classLabels: this.classLabels,
         feedbackWeight: this.feedbackWeight,
         cacheSize: this.cacheSize,
-        bufferMax: this.bufferMax
+        observer: this.observer,
+        observerOpts: this.observerOpts,
+        driftDetector: this.driftDetectorType,
+        driftDetectorOpts: this.driftDetectorOpts,
+        adwinDelta: this.adwinDelta,
+        nodeAdwinDelta: this.nodeAdwinDelta,
+        altMinSamples: this.altMinSamples,
+        swapDelta: this.swapDelta
       }
-    });
+    };
   }
 
-  /** Restore from JSON string */
+  /** Export complete tree and meta-data to JSON string */
+  exportModel() {
+    return JSON.stringify(this.toJSON());
+  }
+
+  /** Restore from JSON string (or an already-parsed toJSON() object) */
   loadModel(json) {
-    const data = JSON.parse(json);
-    this.root = HoeffdingNode.fromJSON(data.root);
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    this.root = HoeffdingNode.fromJSON(data.root, { now: this.now, random: this.random });
     this.instancesSeen = data.instancesSeen ?? 0;
     this.driftCount = data.driftCount ?? 0;
+    this.warningCount = data.warningCount ?? 0;
+    this.splitCount = data.splitCount ?? 0;
+    this.altTreesCreated = data.altTreesCreated ?? 0;
+    this.altTreesSwapped = data.altTreesSwapped ?? 0;
+    this.altTreesPruned = data.altTreesPruned ?? 0;
+    // a checkpoint from another detector type keeps the fresh detector
+    if (data.driftDetector && (data.driftDetector.type ?? 'adwin') === this.driftDetectorType)
+      this.driftDetector = detectorFromJSON(data.driftDetector, { now: this.now, random: this.random });
+    this.userFeedbackBuffer = data.userFeedbackBuffer ?? [];
+    // inputs behind the restored detector's window, so the next drift
+    // event can still describe both sides of its cut
+    this.featureHistory = new CircularBuffer(this.featureHistory.maxSize);
+    (data.featureHistory ?? []).forEach(features => this.featureHistory.push(features));
+  }
+
+  /**
+   * Build a new tree from toJSON()/exportModel() output
+   * @param {string|Object} json
+   * @param {{now?:function():number, random?:function():number}} [deps]
+   */
+  static fromJSON(json, deps = {}) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    const hp = data.hyperparameters;
+    const tree = new HoeffdingTree({
+      nFeatures: hp.nFeatures,
+      nClasses: hp.nClasses,
+      classLabels: hp.classLabels,
+      leafPrediction: hp.leafPrediction,
+      gracePeriod: hp.gracePeriod,
+      delta: hp.delta,
+      feedbackWeight: hp.feedbackWeight,
+      cacheSize: hp.cacheSize,
+      observer: hp.observer,
+      observerOpts: hp.observerOpts,
+      driftDetector: hp.driftDetector,
+      driftDetectorOpts: hp.driftDetectorOpts,
+      adwinDelta: hp.adwinDelta,
+      nodeAdwinDelta: hp.nodeAdwinDelta,
+      altMinSamples: hp.altMinSamples,
+      swapDelta: hp.swapDelta,
+      now: deps.now,
+      random: deps.random
+    });
+    tree.loadModel(data);
+    return tree;
   }
 
   /* -------------------- internal utilities -------------------- */
 
   _predictLeaf(features) {
-    const leaf = this.root.findLeaf(features);
-    const dist = leaf.getClassDistribution();
-    const total = dist.reduce((a, b) => a + b, 0);
+    return { prediction: this._leafClass(this.root.findLeaf(features), features) };
+  }
+
+  /** Class scores at a leaf under the configured leafPrediction strategy */
+  _leafDistribution(leaf, features) {
+    switch (this.leafPrediction) {
+      case 'nb':
+        return leaf.getNaiveBayesDistribution(features);
+      case 'nba':
+        return leaf.nbCorrect > leaf.mcCorrect
+          ? leaf.getNaiveBayesDistribution(features)
+          : leaf.getClassDistribution();
+      default:
+        return leaf.getClassDistribution();
+    }
+  }
+
+  _leafClass(leaf, features) {
+    const dist = this._leafDistribution(leaf, features);
     let cls = 0,
       votes = -1;
     dist.forEach((c, i) => {
@@ -179,16 +331,114 @@ class HoeffdingTree {
         cls = i;
       }
     });
-    return { prediction: cls };
+    return cls;
   }
 
   _updateTree(features, classLabel) {
-    const leaf = this.root.findLeaf(features);
-    leaf.updateStats(features, classLabel);
+    this.root = this._hatLearn(this.root, features, classLabel);
+  }
+
+  /**
+   * HAT learning step for the subtree rooted at `node`.
+   * Every node on the path monitors its subtree's error with its own drift
+   * detector. An internal node whose detector warns or drifts starts growing
+   * an alternate subtree from scratch; the alternate replaces the node once
+   * its error is significantly lower, or is discarded once it is
+   * significantly higher. A warning only starts the alternate earlier, so it
+   * has a head start once drift follows; it is held to the same test.
+   * @returns {HoeffdingNode} the node now occupying this position
+   */
+  _hatLearn(node, features, classLabel) {
+    const predicted = this._leafClass(node.findLeaf(features), features);
+    const detector = node.ensureErrorDetector(
+      this.driftDetectorType,
+      this._detectorOpts(this.nodeAdwinDelta)
+    );
+    detector.update(predicted === classLabel ? 0 : 1);
 
-    if (leaf.shouldSplit(this.gracePeriod, this.delta)) {
-      if (leaf.split()) this.splitCount++;
+    if ((detector.drift || detector.warning) && !node.isLeaf() && !node.alternate) {
+      node.alternate = this._newNode();
+      node.alternateReason = detector.drift ? 'drift' : 'warning';
+      this.altTreesCreated++;
     }
+
+    if (node.alternate) {
+      node.alternate = this._hatLearn(node.alternate, features, classLabel);
+      const verdict = this._compareAlternate(node);
+      if (verdict === 'swap') {
+        this.altTreesSwapped++;
+        return node.alternate;          // already trained on this instance
+      }
+      if (verdict === 'prune') {
+        node.alternate = null;
+        node.alternateReason = null;
+        this.altTreesPruned++;
+      }
+    }
+
+    if (node.isLeaf()) {
+      if (this.leafPrediction === 'nba') node.recordLeafAccuracy(features, classLabel);
+      node.updateStats(features, classLabel);
+      if (node.shouldSplit(this.gracePeriod, this.delta)) {
+        if (node.split()) this.splitCount++;
+      }
+      return node;
+    }
+
+    const v = features[node.splitFeature];
+    if (v != null && !Number.isNaN(v) && v <= node.splitValue) {
+      node.leftChild = this._hatLearn(node.leftChild, features, classLabel);
+    } else {
+      node.rightChild = this._hatLearn(node.rightChild, features, classLabel);
+    }
+    return node;
+  }
+
+  /**
+   * Hoeffding-style test between a node and its alternate on their ADWIN
+   * error windows. @returns {'swap'|'prune'|null}
+   */
+  _compareAlternate(node) {
+    const nAlt = node.alternate.getErrorWidth();
+    const nOld = node.getErrorWidth();
+    if (nAlt < this.altMinSamples || nOld === 0) return null;
+
+    const eOld = node.getErrorEstimate();
+    const eAlt = node.alternate.getErrorEstimate();
+    const bound = Math.sqrt(
+      2 * eOld * (1 - eOld) * Math.log(2 / this.swapDelta) * (1 / nAlt + 1 / nOld)
+    );
+    if (eOld - eAlt > bound) return 'swap';
+    if (eAlt - eOld > bound) return 'prune';
+    return null;
+  }
+
+  /** Detector options; the adwinDelta settings own ADWIN's confidence */
+  _detectorOpts(adwinDelta) {
+    return this.driftDetectorType === 'adwin'
+      ? { ...this.driftDetectorOpts, delta: adwinDelta }
+      : this.driftDetectorOpts;
+  }
+
+  _newNode() {
+    return new HoeffdingNode({
+      nClasses: this.numClasses,
+      nFeatures: this.nFeatures,
+      cacheSize: this.cacheSize,
+      observer: this.observer,
+      observerOpts: this.observerOpts,
+      now: this.now,
+      random: this.random
+    });
+  }
+
+  _countAlternates(node) {
+    if (!node) return 0;
+    let count = node.alternate ? 1 + this._countAlternates(node.alternate) : 0;
+    if (!node.isLeaf()) {
+      count += this._countAlternates(node.leftChild) + this._countAlternates(node.rightChild);
+    }
+    return count;
   }
 
   _flushFeedback() {
@@ -201,15 +451,48 @@ class HoeffdingTree {
   }
 
   _handleDrift() {
-    // reset the whole tree after drift
-    this.root = new HoeffdingNode({
-      nClasses: this.numClasses,
-      nFeatures: this.nFeatures,
-      cacheSize: this.cacheSize,
-      bufferMax: this.bufferMax
-    });
-    this.driftDetector.reset();
+    // tree-wide drift is only recorded; the affected subtrees are replaced
+    // by their own alternates in _hatLearn(), the rest of the model is kept
     this.driftCount++;
+    this.pendingDriftEvents.push(this._driftEvent());
+    if (this.pendingDriftEvents.length > MAX_PENDING_DRIFT_EVENTS)
+      this.pendingDriftEvents.shift();
+  }
+
+  /**
+   * Detector cut plus the inputs on each side of it, as far back as
+   * featureHistory reaches (each side's summaries report their own n).
+   */
+  _driftEvent() {
+    const cut = this.driftDetector.lastCut;
+    const vectors = this.featureHistory.toArray();
+    const nAfter = Math.min(cut.after.width, vectors.length);
+    const nBefore = Math.min(cut.before.width, vectors.length - nAfter);
+    const split = vectors.length - nAfter;
+    return {
+      ts: this.now(),
+      detector: this.driftDetectorType,
+      instancesSeen: this.instancesSeen,
+      before: {
+        width: cut.before.width,
+        meanError: cut.before.mean,
+        features: summarizeFeatures(vectors.slice(split - nBefore, split), this.nFeatures)
+      },
+      after: {
+        width: cut.after.width,
+        meanError: cut.after.mean,
+        features: summarizeFeatures(vectors.slice(split), this.nFeatures)
+      }
+    };
+  }
+
+  /**
+   * Tree-wide drift detections since the last call, oldest first
+   * (at most the last MAX_PENDING_DRIFT_EVENTS).
+   * @returns {Object[]} { ts, detector, instancesSeen, before, after }
+   */
+  takeDriftEvents() {
+    return this.pendingDriftEvents.splice(0);
   }
 
   _snapshot() {
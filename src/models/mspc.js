@@ -1,119 +1,840 @@
 /* ---------------------------------------------------------
-   Incremental Hotelling T² multivariate SPC
+   Moving-window Hotelling T² multivariate SPC
+
+   The in-control baseline is the last `windowSize` observations.
+   Each new vector is scored against that window, then added to
+   it while the oldest one drops out; the Cholesky factor of the
+   window scatter matrix follows by rank-one update / downdate,
+   and the control limit is recomputed for the current window
+   size. The chart therefore tracks the user's current normal.
+
+   Chart types (opts.chart):
+     'hotelling'  Shewhart T² of each observation – large spikes
+     'mewma'      multivariate EWMA (Lowry et al. 1992)
+     'mcusum'     multivariate CUSUM (Crosier 1988)
+     'pca'        T² on the leading principal components of the
+                  window correlation matrix plus the squared
+                  prediction error Q of the residual, each with
+                  its own limit – robust to collinear variables
+   MEWMA / MCUSUM accumulate small sustained shifts; their
+   limit h is set for a target in-control ARL.
+
+   Phase I (startCalibration): the next calibrationSize obs are
+   collected without alarms, out-of-control points are dropped
+   iteratively against a Beta limit, and the cleaned sample is
+   frozen as the baseline (it no longer slides) until the next
+   calibration. exportBaseline()/applyBaseline() persist it.
+   A calibration fails – and the previous baseline stays – when
+   cleaning does not converge or a variable is constant in the
+   cleaned sample (e.g. only idle reports survived): its zero
+   variance would make every later deviation an alarm.
+
+   Every alarm record carries the per-variable contributions
+   cⱼ = vⱼ·(S⁻¹v)ⱼ of the charted vector v; they sum to the
+   quadratic form, so the largest one names the main driver.
 --------------------------------------------------------- */
 
 import { CircularBuffer } from '../utils/circular-buffer.js';
-import { cholUpdate, cholDowndate, solveCholesky } from '../utils/linear-algebra.js';
+import {
+  cholUpdate, cholRankUpdate, cholDowndate, solveCholesky, solveLower, symmetricEigen
+} from '../utils/linear-algebra.js';
+import { createSeededRandom } from '../utils/random.js';
 
 // --- CONFIG ------------------------------------------------
 const ALPHA = 0.001;                 // 0.1 % false alarm
-const WINDOW_N  = 1000;              // obs retained for limits
+const WINDOW_N  = 1000;              // obs in the moving baseline window
+const MIN_N     = 100;               // window size before the chart may signal
+const REFACTOR_EVERY = 1000;         // obs between exact rebuilds (rounding drift)
+const HISTORY_N = 1000;              // T² records kept in buf
 const MAX_P     = 6;                 // # variables monitored
+// order of the content script's mspcVector
+export const MSPC_VARIABLES = [
+  'scrolls', 'clicks', 'keystrokes', 'mouseMoves', 'interactionFrequency', 'timeSinceLast'
+];
+const CHARTS    = ['hotelling', 'mewma', 'mcusum', 'pca'];
+const MEWMA_LAMBDA = 0.1;            // EWMA smoothing
+const MCUSUM_K  = 0.5;               // CUSUM reference value (½ the shift to detect)
+const PCA_VARIANCE = 0.9;            // variance the retained components must explain
+const PCA_REFRESH  = 25;             // obs between eigen-decompositions of the window
+const MIN_SD       = 1e-12;          // constant variables are left out of the PCA
+const CALIBRATION_N    = 500;        // Phase I sample size (≈ 4 h of 30 s reports)
+const PHASE1_ALPHA     = 0.01;       // per-point false alarm while cleaning
+const PHASE1_MAX_ITER  = 10;
+const MIN_BASELINE_VAR = 1e-6;       // a frozen baseline variable must vary more
+const ARL0      = 1 / ALPHA;         // in-control average run length
+const SIM_CHAINS = 200;              // Monte Carlo runs for the ARL search
+const SIM_SEED   = 0x5eed;
 // -----------------------------------------------------------
 
+/* ---- ARL-based limits for MEWMA / MCUSUM ------------------
+   Both statistics are affine invariant, so in control they can
+   be simulated with x ~ N(0, I). Neither recursion depends on
+   h, so each simulated chain is run once and its running-max
+   records give the run length for every h; h is then bisected
+   until the mean run length hits the target. Seeded, so every
+   install gets the same limit; cached per configuration.
+------------------------------------------------------------ */
+const limitCache = new Map();
+
+function chartLimit(chart, p, param, arl0) {
+  const key = `${chart}:${p}:${param}:${arl0}`;
+  if (limitCache.has(key)) return limitCache.get(key);
+
+  const random = createSeededRandom(SIM_SEED);
+  let spare = NaN;                         // Box-Muller yields normals in pairs
+  const gauss = () => {
+    if (!Number.isNaN(spare)) { const g = spare; spare = NaN; return g; }
+    const r = Math.sqrt(-2*Math.log(1 - random()));
+    const a = 2*Math.PI*random();
+    spare = r*Math.sin(a);
+    return r*Math.cos(a);
+  };
+  const norm2 = v => { let q = 0; for (let j=0;j<p;++j) q += v[j]*v[j]; return q; };
+  const horizon = Math.ceil(5 * arl0);     // censor runs at 5·ARL0
+  const records = [];                      // per chain: [[t, value], …] new maxima
+  const state = new Float64Array(p);
+  const e = new Float64Array(p);
+  for (let c=0;c<SIM_CHAINS;++c) {
+    state.fill(0);
+    const rec = [];
+    let max = -Infinity;
+    for (let t=1;t<=horizon;++t) {
+      for (let j=0;j<p;++j) e[j] = gauss();
+      let stat;
+      if (chart === 'mewma') {
+        for (let j=0;j<p;++j) state[j] = param*e[j] + (1-param)*state[j];
+        stat = norm2(state) / mewmaVarianceFactor(param, t);
+      } else {
+        stat = crosierStep(state, e, param, norm2);
+      }
+      if (stat > max) { max = stat; rec.push([t, stat]); }
+    }
+    records.push(rec);
+  }
+
+  const arl = h => {
+    let sum = 0;
+    for (const rec of records) sum += (rec.find(([, v]) => v > h) ?? [horizon])[0];
+    return sum / records.length;
+  };
+  let lo = 0;
+  let hi = Math.max(...records.map(rec => rec[rec.length - 1][1]));
+  for (let i=0;i<50;++i) {
+    const mid = (lo + hi) / 2;
+    if (arl(mid) < arl0) lo = mid; else hi = mid;
+  }
+  limitCache.set(key, hi);
+  return hi;
+}
+
+/** Cov(z_t) = λ/(2−λ)·(1−(1−λ)^2t)·Σ for the MEWMA vector z_t */
+function mewmaVarianceFactor(lambda, t) {
+  return lambda / (2 - lambda) * (1 - Math.pow(1 - lambda, 2*t));
+}
+
+/**
+ * One Crosier MCUSUM step, updating s in place:
+ *   C = ‖s + e‖;  s ← 0 if C ≤ k, else (s + e)(1 − k/C);  returns ‖s‖
+ * @param {function(Float64Array):number} norm2 squared (Mahalanobis) norm
+ */
+function crosierStep(s, e, k, norm2) {
+  for (let j=0;j<s.length;++j) s[j] += e[j];
+  const C = Math.sqrt(norm2(s));
+  const shrink = C <= k ? 0 : 1 - k/C;
+  for (let j=0;j<s.length;++j) s[j] *= shrink;
+  return C <= k ? 0 : Math.sqrt(norm2(s));
+}
+
+/** Mean and scatter Σ(x−x̄)(x−x̄)ᵀ of a sample, two-pass */
+function sampleMoments(obs, p) {
+  const mean = new Float64Array(p);
+  const scatter = new Float64Array(p*p);
+  for (const x of obs) for (let j=0;j<p;++j) mean[j] += x[j] / obs.length;
+  const d = new Float64Array(p);
+  for (const x of obs) {
+    for (let j=0;j<p;++j) d[j] = x[j] - mean[j];
+    for (let r=0;r<p;++r) for (let c=0;c<p;++c) scatter[r*p+c] += d[r]*d[c];
+  }
+  return { mean, scatter };
+}
+
 export class MSPC {
-  constructor(p = MAX_P) {
+  /**
+   * @param {number} [p=6]   # variables
+   * @param {object} [opts]
+   * @param {number} [opts.windowSize=1000] observations in the baseline window
+   * @param {number} [opts.minSamples=100]  window size before alarms are possible
+   * @param {'hotelling'|'mewma'|'mcusum'|'pca'} [opts.chart='hotelling']
+   * @param {number} [opts.lambda=0.1]  MEWMA smoothing in (0, 1]
+   * @param {number} [opts.k=0.5]       MCUSUM reference value
+   * @param {number} [opts.arl0=1000]   target in-control ARL for the MEWMA / MCUSUM limit
+   * @param {number} [opts.limit]       explicit MEWMA / MCUSUM limit h (skips the ARL search)
+   * @param {number} [opts.pcaVariance=0.9] PCA: explained variance that fixes the component count
+   * @param {number} [opts.components]  PCA: fixed number of retained components instead
+   * @param {string[]} [opts.variables] names for alarm contributions (default MSPC_VARIABLES, or v1…vp)
+   * @param {number} [opts.calibrationSize=500] Phase I sample size
+   * @param {function():number} [opts.now=Date.now] clock for buffer timestamps
+   * @param {function(string, object):void} [opts.logger=console.warn] alarms and
+   *        failed calibrations
+   */
+  constructor(p = MAX_P, opts = {}) {
     this.p          = p;
-    this.n          = 0;                     // samples seen
-    this.mean       = new Float64Array(p);   // μ̂
-    this.cov        = new Float64Array(p*p); // Ŝ (row-major)
-    this.chol       = null;                  // Cholesky factor L
-    this.buf        = new CircularBuffer(WINDOW_N);
-    this.ucl        = Infinity;              // updated after burn-in
+    this.now        = opts.now ?? Date.now;
+    this.logger     = opts.logger ?? console.warn;
+    this.windowSize = opts.windowSize ?? WINDOW_N;
+    this.minSamples = Math.max(opts.minSamples ?? MIN_N, p + 2);
+    if (this.windowSize < this.minSamples) {
+      throw new Error(`windowSize must be at least ${this.minSamples}`);
+    }
+    this.window     = new CircularBuffer(this.windowSize); // baseline obs
+    this.n          = 0;                     // obs currently in the window
+    this.seen       = 0;                     // obs ingested overall
+    this.mean       = new Float64Array(p);   // μ̂ of the window
+    this.cov        = new Float64Array(p*p); // scatter Σ(x−μ̂)(x−μ̂)ᵀ (row-major)
+    this.chol       = null;                  // Cholesky factor L of the scatter
+    this.buf        = new CircularBuffer(HISTORY_N); // { t2, ts, signal }
+    this.ucl        = Infinity;              // finite once n ≥ minSamples
+    this.lastT2     = NaN;                   // T² of the latest observation
+    this._sinceRebuild = 0;
+
+    // chart the alarm is raised on
+    this.chart = opts.chart ?? 'hotelling';
+    if (!CHARTS.includes(this.chart)) {
+      throw new Error(`chart must be one of ${CHARTS.join(', ')}`);
+    }
+    this.lambda = opts.lambda ?? MEWMA_LAMBDA;
+    if (!(this.lambda > 0 && this.lambda <= 1)) throw new Error('lambda must be in (0, 1]');
+    this.k      = opts.k ?? MCUSUM_K;
+    this.arl0   = opts.arl0 ?? ARL0;
+    this.h      = this.chart === 'mewma' || this.chart === 'mcusum'
+      ? (opts.limit ?? chartLimit(this.chart, p, this.chart === 'mewma' ? this.lambda : this.k, this.arl0))
+      : null;
+    this.chartState = new Float64Array(p);   // MEWMA z or MCUSUM s
+    this.chartSteps = 0;                     // obs accumulated since burn-in
+    this.lastStat   = NaN;                   // charted statistic of the latest obs
+    this.limit      = Infinity;              // its control limit
+
+    // PCA chart: model refreshed from the window every PCA_REFRESH obs
+    this.pcaVariance = opts.pcaVariance ?? PCA_VARIANCE;
+    this.components  = opts.components ?? null;
+    this.pca         = null;                 // { invSd, values, vectors, k, t2Limit, qLimit, explained }
+    this.lastQ       = NaN;                  // SPE of the latest obs
+    this.qLimit      = Infinity;
+
+    this.variables  = opts.variables
+      ?? (p === MSPC_VARIABLES.length ? MSPC_VARIABLES : Array.from({ length: p }, (_, j) => `v${j+1}`));
+    this.lastAlarm  = null;                  // latest alarm record with contributions
+
+    // Phase I calibration
+    this.calibrationSize = opts.calibrationSize ?? CALIBRATION_N;
+    this.calibration = null;                 // { target, startedAt, samples } while collecting
+    this.baseline    = null;                 // frozen baseline summary; null = moving window
+    this.lastCalibrationFailure = null;      // { at, reason, collected, kept }
   }
 
-  /* ---- add one p-vector observation --------------------- */
+  /* ---- score one p-vector, then slide it into the window  */
   ingest(obs) {
-    const x = obs;                           // Float64Array length p
-    this.updateMoments(x);        // Updates mean and covariance incrementally
-    const t2 = this.hotellingT2(x); // Compute Hotelling T²
-    const signal = (this.n > this.p) && (t2 > this.ucl); // Signal if threshold exceeded
-    this.buf.push({ t2, ts: Date.now(), signal });
-    if (signal) console.warn('MSPC alarm', { t2, ucl: this.ucl });
+    const x = Float64Array.from(obs);
+    if (!x.every(Number.isFinite)) return false;   // would poison the window
+    if (this.calibration) return this.collectCalibration(x);
+    const t2 = this.hotellingT2(x);    // Phase II: x is not part of its own baseline
+    this.lastT2 = t2;
+    let stat = t2;
+    let limit = this.ucl;
+    if (this.chart === 'mewma' || this.chart === 'mcusum') {
+      stat = this.chart === 'mewma' ? this.mewmaStat(x) : this.mcusumStat(x);
+      limit = Number.isFinite(this.ucl) ? this.h : Infinity;
+    } else if (this.chart === 'pca') {
+      const pcaOut = this.pcaStats(x);
+      stat = pcaOut?.t2 ?? NaN;
+      limit = this.pca?.t2Limit ?? Infinity;
+      this.lastQ = pcaOut?.q ?? NaN;
+      this.qLimit = this.pca?.qLimit ?? Infinity;
+    }
+    this.lastStat = stat;
+    this.limit = limit;
+    // NaN / Infinity before burn-in → false; lastQ is NaN outside the PCA chart
+    const signal = stat > limit || this.lastQ > this.qLimit;
+    const record = { t2, stat, ts: this.now(), signal };
+    if (this.chart === 'pca') record.q = this.lastQ;
+    if (signal) {
+      // decompose against the baseline the obs was scored on, before sliding
+      Object.assign(record, { limit, ...this.decomposeCharted(x) });
+      this.lastAlarm = record;
+      this.logger('MSPC alarm', { chart: this.chart, stat, limit, top: record.top });
+    }
+    this.slide(x);
+    this.buf.push(record);
     return signal;
   }
 
-  /* ---- Welford incremental mean/cov update -------------- */
-  updateMoments(x) {
+  /* ---- contributions for the vector the chart just scored  */
+  decomposeCharted(x) {
+    if (this.chart === 'hotelling') return this.contributions(this.deviation(x));
+    if (this.chart === 'pca') return this.pcaContributions(x);
+    const scale = this.chart === 'mewma'
+      ? 1 / mewmaVarianceFactor(this.lambda, this.chartSteps)
+      : 1;
+    return this.contributions(this.chartState, scale);
+  }
+
+  /**
+   * Per-variable T² decomposition  cⱼ = scale·vⱼ·(S⁻¹v)ⱼ,  Σcⱼ = scale·vᵀS⁻¹v.
+   * A cⱼ can be negative when correlation with other variables explains
+   * vⱼ away; shares are taken over the positive part only.
+   * @param {Float64Array} v deviation from the window mean
+   * @param {number} [scale=1]
+   * @returns {{contributions: {variable:string, contribution:number,
+   *           share:number, direction:'high'|'low'}[], top:string|null}}
+   */
+  contributions(v, scale = 1) {
+    if (!this.chol) return { contributions: [], top: null };
+    const w = solveCholesky(this.chol, v);  // (LLᵀ)⁻¹v,  S⁻¹ = (n−1)(LLᵀ)⁻¹
+    const c = Array.from(v, (vj, j) => scale * (this.n - 1) * vj * w[j]);
+    return this.rankContributions(c, v);
+  }
+
+  /** Shares of the positive total and the top driver for contributions c */
+  rankContributions(c, v) {
+    const positive = c.reduce((s, cj) => s + Math.max(cj, 0), 0);
+    const contributions = c.map((cj, j) => ({
+      variable: this.variables[j],
+      contribution: cj,
+      share: positive > 0 ? Math.max(cj, 0) / positive : 0,
+      direction: v[j] >= 0 ? 'high' : 'low'
+    }));
+    let top = null;
+    for (const entry of contributions) {
+      if (entry.contribution > 0 && (!top || entry.contribution > top.contribution)) top = entry;
+    }
+    return { contributions, top: top?.variable ?? null };
+  }
+
+  /* ---- add x, evicting the oldest obs when full --------- */
+  slide(x) {
+    if (this.baseline) {                     // frozen Phase I baseline
+      this.seen += 1;
+      return;
+    }
+    if (this.window.length === this.windowSize) this.removeObservation(this.window.get(0));
+    this.window.push(x);
+    this.addObservation(x);
+    this.seen += 1;
+    if (++this._sinceRebuild >= REFACTOR_EVERY) this.rebuildFromWindow();
+    this.updateUCL();
+    if (this.chart === 'pca' && (this.seen % PCA_REFRESH === 0 || !this.pca)) this.refreshPCA();
+  }
+
+  /* ---- Welford add: M += (n−1)/n · δδᵀ ------------------ */
+  addObservation(x) {
     this.n += 1;
     const p = this.p;
     const n = this.n;
-    // Δ = x – μ_prev
-    const delta = new Float64Array(p);
+    const delta = new Float64Array(p);       // Δ = x – μ_prev
     for (let j=0;j<p;++j) delta[j] = x[j] - this.mean[j];
-    // μ̂ update
     for (let j=0;j<p;++j) this.mean[j] += delta[j] / n;
-    // Ŝ update  (upper half only)
-    const factor = (n-1)/n;
+    this.addOuter(delta, (n-1)/n);
+    if (this.chol) {
+      const scale = Math.sqrt((n-1)/n);
+      this.chol = cholRankUpdate(this.chol, delta.map(d => d*scale), p);
+    } else if (n > p) {
+      this.refreshCholesky();
+    }
+  }
+
+  /* ---- reverse Welford: M −= n/(n−1) · δδᵀ -------------- */
+  removeObservation(x) {
+    const p = this.p;
+    const n = this.n;
+    if (n <= 1) {
+      this.n = 0;
+      this.mean.fill(0);
+      this.cov.fill(0);
+      this.chol = null;
+      return;
+    }
+    const delta = new Float64Array(p);       // Δ = x – μ (before removal)
+    for (let j=0;j<p;++j) delta[j] = x[j] - this.mean[j];
+    for (let j=0;j<p;++j) this.mean[j] -= delta[j] / (n-1);
+    this.addOuter(delta, -n/(n-1));
+    this.n = n - 1;
+    if (this.n <= p) {
+      this.chol = null;
+    } else if (this.chol) {
+      const scale = Math.sqrt(n/(n-1));
+      // a downdate can lose definiteness on collinear data: refactor instead
+      this.chol = cholDowndate(this.chol, delta.map(d => d*scale), p)
+        ?? cholUpdate(this.cov, p);
+    }
+  }
+
+  /* ---- M += w · δδᵀ ------------------------------------- */
+  addOuter(delta, w) {
+    const p = this.p;
     for (let r=0;r<p;++r) {
       for (let c=r;c<p;++c) {
         const idx = r*p + c;
-        const prod = delta[r]*delta[c]*factor;
-        this.cov[idx] += prod;
+        this.cov[idx] += w*delta[r]*delta[c];
         if (r !== c) this.cov[c*p+r] = this.cov[idx]; // symmetry
       }
     }
-    // lazy-update Cholesky every 50 samples for speed
-    if (n % 50 === 0) this.refreshCholesky();
-    // refresh UCL after burn-in
-    if (n === WINDOW_N) this.updateUCL();
+  }
+
+  /* ---- exact two-pass moments + factor from the window -- */
+  rebuildFromWindow() {
+    const obs = this.window.toArray();
+    this.n = obs.length;
+    const { mean, scatter } = sampleMoments(obs, this.p);
+    this.mean = mean;
+    this.cov = scatter;
+    this.refreshCholesky();
+    if (this.chart === 'pca') this.refreshPCA();
   }
 
   refreshCholesky() {
-    const p = this.p;
-    // build covariance / (n-1)
-    const S = new Float64Array(this.cov.length);
-    const scale = 1/(this.n - 1);
-    for (let i=0;i<S.length;++i) S[i] = this.cov[i] * scale;
-    this.chol = cholUpdate(S, p);   // returns lower-triangular L
+    // L Lᵀ = scatter; S = scatter / (n−1) is applied in hotellingT2
+    this.chol = this.n > this.p ? cholUpdate(this.cov, this.p) : null;
+    this._sinceRebuild = 0;
+  }
+
+  /* ---- vᵀ S⁻¹ v for the window covariance S ------------- */
+  mahalanobis2(v) {
+    // L y = v  ⇒  vᵀ(LLᵀ)⁻¹v = yᵀy,  and S⁻¹ = (n−1)(LLᵀ)⁻¹
+    const y = solveLower(this.chol, v);
+    let q = 0;
+    for (let j=0;j<this.p;++j) q += y[j]*y[j];
+    return (this.n - 1) * q;
+  }
+
+  deviation(x) {
+    const v = new Float64Array(this.p);      // v = x – μ̂
+    for (let j=0;j<this.p;++j) v[j] = x[j] - this.mean[j];
+    return v;
   }
 
   /* ---- Hotelling statistic ------------------------------ */
   hotellingT2(x) {
-    if (!this.chol) this.refreshCholesky();
-    // v = x – μ̂
-    const v = new Float64Array(this.p);
-    for (let j=0;j<this.p;++j) v[j] = x[j] - this.mean[j];
-    // solve S⁻¹/2 v  via forward/back substitution
-    const y = solveCholesky(this.chol, v);   // L y = v
-    // T² = yᵀ y
+    if (!this.chol) return NaN;              // window too small for S⁻¹
+    return this.mahalanobis2(this.deviation(x));
+  }
+
+  /* ---- MEWMA: z ← λ(x − μ̂) + (1 − λ)z,  zᵀ Σz⁻¹ z ------- */
+  mewmaStat(x) {
+    if (!this.chol || this.n < this.minSamples) return NaN;
+    const v = this.deviation(x);
+    const z = this.chartState;
+    for (let j=0;j<this.p;++j) z[j] = this.lambda*v[j] + (1-this.lambda)*z[j];
+    this.chartSteps += 1;
+    return this.mahalanobis2(z) / mewmaVarianceFactor(this.lambda, this.chartSteps);
+  }
+
+  /* ---- MCUSUM (Crosier): shrunk cumulative deviation ---- */
+  mcusumStat(x) {
+    if (!this.chol || this.n < this.minSamples) return NaN;
+    this.chartSteps += 1;
+    return crosierStep(this.chartState, this.deviation(x), this.k, v => this.mahalanobis2(v));
+  }
+
+  /* ---- Phase I: collect, clean, freeze ------------------ */
+  startCalibration(size = this.calibrationSize) {
+    if (!(size >= this.minSamples)) {
+      throw new Error(`calibration needs at least ${this.minSamples} observations`);
+    }
+    this.calibration = { target: size, startedAt: this.now(), samples: [] };
+  }
+
+  collectCalibration(x) {
+    // no alarms until the cleaned baseline is frozen
+    this.calibration.samples.push(x);
+    this.seen += 1;
+    this.lastT2 = this.lastStat = this.lastQ = NaN;
+    this.buf.push({ t2: NaN, stat: NaN, ts: this.now(), signal: false, phase: 'I' });
+    if (this.calibration.samples.length >= this.calibration.target) this.finishCalibration();
+    return false;
+  }
+
+  finishCalibration() {
+    const { samples, startedAt } = this.calibration;
+    this.calibration = null;
+    const { kept, removed, iterations, limit, converged } = this.phaseOneClean(samples);
+    let reason = null;
+    if (kept.length < this.minSamples) {
+      reason = 'too few in-control reports';
+    } else if (!converged) {
+      reason = `cleaning did not converge in ${iterations} iterations`;
+    } else {
+      const constant = this.constantVariables(kept);
+      if (constant.length) reason = `no variation in ${constant.join(', ')}`;
+    }
+    if (reason) {
+      // keep monitoring against whatever baseline was in place before
+      this.lastCalibrationFailure = { at: this.now(), reason, collected: samples.length, kept: kept.length };
+      this.logger('MSPC calibration failed', this.lastCalibrationFailure);
+      return false;
+    }
+    this.lastCalibrationFailure = null;
+    this.applyBaseline({
+      observations: kept,
+      startedAt,
+      calibratedAt: this.now(),
+      collected: samples.length,
+      removed,
+      iterations,
+      phaseOneLimit: limit
+    });
+    return true;
+  }
+
+  /**
+   * Phase I cleaning: every sample is tested against the mean and
+   * covariance of the current in-control set with the limit for
+   * individual obs
+   *   T²ᵢ ≤ ((m−1)²/m) · B(1−α; p/2, (m−p−1)/2)      (Tracy, Young & Mason 1992)
+   * and the set is refitted until it stops changing. Starting from all
+   * samples lets a block of outliers inflate S enough to hide itself, so
+   * the first set is the half nearest the coordinate-wise median
+   * (median/MAD scaled), as in BACON (Billor, Hadi & Velleman 2000).
+   */
+  phaseOneClean(samples) {
+    const p = this.p;
+    let kept = this.robustCore(samples);
+    let iterations = 0;
+    let limit = Infinity;
+    let converged = false;
+    const v = new Float64Array(p);
+    while (iterations < PHASE1_MAX_ITER && kept.length >= this.minSamples) {
+      const m = kept.length;
+      const { mean, scatter } = sampleMoments(kept, p);
+      const L = cholUpdate(scatter, p);
+      // Beta quantile through F:  X ~ B(a, b)  ⇔  bX / (a(1−X)) ~ F(2a, 2b)
+      const a = p/2;
+      const b = (m-p-1)/2;
+      const r = (a/b) * this.fQuantile(2*a, 2*b, 1-PHASE1_ALPHA);
+      limit = ((m-1)**2/m) * r/(1+r);
+      const next = samples.filter(x => {
+        for (let j=0;j<p;++j) v[j] = x[j] - mean[j];
+        const y = solveLower(L, v);
+        let q = 0;
+        for (let j=0;j<p;++j) q += y[j]*y[j];
+        return (m-1)*q <= limit;
+      });
+      iterations += 1;
+      const stable = next.length === kept.length && next.every((x, i) => x === kept[i]);
+      kept = next;
+      if (stable) {
+        converged = true;
+        break;
+      }
+    }
+    return { kept, removed: samples.length - kept.length, iterations, limit, converged };
+  }
+
+  /** Names of the variables whose sample variance is (near) zero */
+  constantVariables(observations) {
+    const p = this.p;
+    const { scatter } = sampleMoments(observations, p);
+    return this.variables.filter((_, j) => scatter[j*p+j] / (observations.length - 1) < MIN_BASELINE_VAR);
+  }
+
+  /** Half of the samples closest to the coordinate-wise median (MAD scaled) */
+  robustCore(samples) {
+    const p = this.p;
+    const median = arr => {
+      const s = [...arr].sort((a, b) => a - b);
+      const mid = s.length >> 1;
+      return s.length % 2 ? s[mid] : (s[mid-1] + s[mid]) / 2;
+    };
+    const centre = new Float64Array(p);
+    const scale = new Float64Array(p);
+    for (let j=0;j<p;++j) {
+      const col = samples.map(x => x[j]);
+      centre[j] = median(col);
+      const mad = median(col.map(c => Math.abs(c - centre[j])));
+      scale[j] = mad > MIN_SD ? 1/mad : 0;
+    }
+    const dist = samples.map(x => {
+      let d = 0;
+      for (let j=0;j<p;++j) d += ((x[j] - centre[j]) * scale[j])**2;
+      return d;
+    });
+    const cut = [...dist].sort((a, b) => a - b)[Math.max(this.minSamples, Math.ceil(samples.length/2)) - 1];
+    return samples.filter((_, i) => dist[i] <= cut);
+  }
+
+  /**
+   * Freeze a baseline: the window is replaced by its observations and
+   * stops sliding until the next calibration.
+   * @param {{observations:number[][]}} baseline exportBaseline() output
+   */
+  applyBaseline({ observations, ...summary }) {
+    if (!Array.isArray(observations) || observations.length < this.minSamples
+        || observations.some(x => x.length !== this.p)) {
+      throw new Error(`baseline needs at least ${this.minSamples} ${this.p}-vectors`);
+    }
+    const constant = this.constantVariables(observations);
+    if (constant.length) throw new Error(`baseline has no variation in ${constant.join(', ')}`);
+    this.window = new CircularBuffer(this.windowSize);
+    for (const x of observations.slice(-this.windowSize)) this.window.push(Float64Array.from(x));
+    this.rebuildFromWindow();
+    this.updateUCL();
+    this.chartState.fill(0);
+    this.chartSteps = 0;
+    this.baseline = { ...summary, size: this.n };
+  }
+
+  /** The frozen baseline with its observations, or null on a moving window */
+  exportBaseline() {
+    if (!this.baseline) return null;
+    return {
+      ...this.baseline,
+      p: this.p,
+      observations: this.window.toArray().map(x => Array.from(x))
+    };
+  }
+
+  getCalibrationStatus() {
+    return {
+      phase: this.calibration ? 'I' : 'II',
+      collected: this.calibration?.samples.length ?? 0,
+      target: this.calibration?.target ?? this.calibrationSize,
+      baseline: this.baseline ? { ...this.baseline } : null,
+      lastFailure: this.lastCalibrationFailure
+    };
+  }
+
+  /* ---- PCA model of the window correlation matrix ------- */
+  refreshPCA() {
+    const p = this.p;
+    const n = this.n;
+    if (n < this.minSamples) {
+      this.pca = null;
+      return;
+    }
+    // standardise: the variables live on wildly different scales
+    const invSd = new Float64Array(p);
+    for (let j=0;j<p;++j) {
+      const sd = Math.sqrt(this.cov[j*p+j] / (n-1));
+      invSd[j] = sd > MIN_SD ? 1/sd : 0;
+    }
+    const R = new Float64Array(p*p);
+    for (let r=0;r<p;++r) {
+      for (let c=0;c<p;++c) R[r*p+c] = this.cov[r*p+c] / (n-1) * invSd[r] * invSd[c];
+    }
+    const { values, vectors } = symmetricEigen(R, p);
+    for (let j=0;j<p;++j) values[j] = Math.max(values[j], 0);
+
+    // retained components
+    const total = values.reduce((s, v) => s + v, 0);
+    let k = this.components ?? 0;
+    if (!k) {
+      let explained = 0;
+      while (k < p && explained < this.pcaVariance * total) explained += values[k++];
+    }
+    k = Math.min(Math.max(k, 1), p - 1);
+
+    // T² on k scores of a new obs; Q by Jackson-Mudholkar over the residual eigenvalues
+    const t2Limit = (k*(n+1)*(n-1)/(n*(n-k))) * this.fQuantile(k, n-k, 1-ALPHA);
+    let th1 = 0, th2 = 0, th3 = 0;
+    for (let j=k;j<p;++j) {
+      th1 += values[j];
+      th2 += values[j]**2;
+      th3 += values[j]**3;
+    }
+    let qLimit = Infinity;                   // no residual space left to monitor
+    if (th1 > MIN_SD && th2 > 0) {
+      const h0 = 1 - 2*th1*th3 / (3*th2*th2);
+      const z = this.normalInv(1-ALPHA);
+      const base = z*Math.sqrt(2*th2*h0*h0)/th1 + 1 + th2*h0*(h0-1)/(th1*th1);
+      qLimit = th1 * Math.pow(Math.max(base, 0), 1/h0);
+    }
+    const explained = total > 0 ? values.slice(0, k).reduce((s, v) => s + v, 0) / total : 0;
+    this.pca = { invSd, values, vectors, k, t2Limit, qLimit, explained };
+  }
+
+  /* ---- scores, T² and SPE of one obs under the PCA model - */
+  pcaProject(x) {
+    const { invSd, values, vectors, k } = this.pca;
+    const p = this.p;
+    const u = new Float64Array(p);            // standardised deviation
+    for (let j=0;j<p;++j) u[j] = (x[j] - this.mean[j]) * invSd[j];
+    const scores = new Float64Array(k);
+    for (let i=0;i<k;++i) {
+      for (let j=0;j<p;++j) scores[i] += vectors[j*p+i] * u[j];
+    }
+    const residual = new Float64Array(u);     // e = u − P t
+    for (let i=0;i<k;++i) {
+      for (let j=0;j<p;++j) residual[j] -= vectors[j*p+i] * scores[i];
+    }
+    const weights = Array.from(scores, (t, i) => t / Math.max(values[i], MIN_SD));
+    return { u, scores, residual, weights };
+  }
+
+  pcaStats(x) {
+    if (!this.pca) return null;
+    const { scores, residual, weights } = this.pcaProject(x);
     let t2 = 0;
-    for (let j=0;j<this.p;++j) t2 += y[j]*y[j];
-    return t2;
+    for (let i=0;i<scores.length;++i) t2 += scores[i] * weights[i];
+    let q = 0;
+    for (const e of residual) q += e*e;
+    return { t2, q };
   }
 
-  /* ---- Control limit for Phase II ----------------------- */
+  /**
+   * Contributions for the PCA statistic that is furthest over its limit:
+   *   T²: cⱼ = uⱼ·Σᵢ Pⱼᵢ·tᵢ/λᵢ     Q: cⱼ = eⱼ²
+   */
+  pcaContributions(x) {
+    const { u, residual, weights } = this.pcaProject(x);
+    const { vectors, k } = this.pca;
+    const p = this.p;
+    const trigger = this.lastQ / this.qLimit > this.lastStat / this.limit ? 'q' : 't2';
+    const c = trigger === 'q'
+      ? Array.from(residual, e => e*e)
+      : Array.from(u, (uj, j) => {
+          let s = 0;
+          for (let i=0;i<k;++i) s += vectors[j*p+i] * weights[i];
+          return uj * s;
+        });
+    return { trigger, ...this.rankContributions(c, u) };
+  }
+
+  /* ---- Control limit for a new obs vs the current window  */
   updateUCL() {
     const p = this.p;
     const n = this.n;
-    // F quantile via Wilson-Hilferty approx (avoid heavy lib)
+    if (n < this.minSamples) {
+      this.ucl = Infinity;
+      return;
+    }
+    // future observation independent of μ̂, S:  p(n+1)(n−1) / (n(n−p)) · F(p, n−p)
     const f_alpha = this.fQuantile(p, n-p, 1-ALPHA);
-    this.ucl = (p*(n-1)/(n-p)) * f_alpha;
+    this.ucl = (p*(n+1)*(n-1)/(n*(n-p))) * f_alpha;
   }
 
-  /* ---- F distribution quantile (simple approximation) --- */
+  /* ---- F distribution quantile (Paulson approximation) - */
   fQuantile(d1, d2, prob) {
-    // for α small, Wilson-Hilferty gives adequate accuracy[54]
-    // F(d1,d2) ≈ χ²(d1)/d1  scaled; use inverse χ² approximation
-    const chi = this.chi2Inv(prob, d1);
-    return (d2*chi)/(d1*(d2-d1+chi));
+    // ((1−2/9d2)·F^⅓ − (1−2/9d1)) / √(2/9d1 + F^⅔·2/9d2) ≈ N(0,1); solve for F^⅓
+    const z = this.normalInv(prob);
+    const a = 1 - 2/(9*d1), u = 2/(9*d1);
+    const b = 1 - 2/(9*d2), v = 2/(9*d2);
+    const A = b*b - z*z*v;
+    const disc = a*a*b*b - A*(a*a - z*z*u);
+    if (A <= 0 || disc < 0) return this.chi2Inv(prob, d1) / d1;   // tiny d2
+    const y = (a*b + Math.sqrt(disc)) / A;
+    return y*y*y;
   }
 
   chi2Inv(prob, df) {
-    // Rational approximation (Abramowitz & Stegun 26.4.17)
+    // Wilson-Hilferty: (χ²/df)^(1/3) ≈ N(1 − 2/(9df), 2/(9df))
+    const z = this.normalInv(prob);
+    const chi = df * Math.pow(1 - 2/(9*df) + z*Math.sqrt(2/(9*df)), 3);
+    return Math.max(chi, 0);
+  }
+
+  normalInv(prob) {
+    // Rational approximation (Abramowitz & Stegun 26.2.23)
     const p = prob;
     const t = Math.sqrt(-2*Math.log( (p<0.5)?p:1-p ));
     const c0 = 2.515517, c1=0.802853, c2=0.010328;
     const d1 = 1.432788, d2=0.189269, d3=0.001308;
     const num = (c2*t + c1)*t + c0;
     const den = ((d3*t + d2)*t + d1)*t + 1;
-    const z = t - num/den;
-    const chi = df * Math.pow(1 - 2/(9*df) + z*Math.sqrt(2/(9*df)), 3);
-    return (p<0.5)? chi : df*2 - chi;        // symmetry
+    const z = t - num/den;                   // upper-tail quantile of min(p, 1−p)
+    return (p<0.5) ? -z : z;
   }
 
   /* ---- expose stats snapshot ---------------------------- */
   getSnapshot() {
-    return { n: this.n, mean: [...this.mean], ucl: this.ucl };
+    return {
+      n: this.n,
+      windowSize: this.windowSize,
+      seen: this.seen,
+      mean: [...this.mean],
+      ucl: this.ucl,
+      chart: this.chart,
+      stat: this.lastStat,
+      limit: this.limit,
+      ...(this.chart === 'pca' && {
+        q: this.lastQ,
+        qLimit: this.qLimit,
+        components: this.pca?.k ?? null,
+        explainedVariance: this.pca?.explained ?? null
+      }),
+      lastAlarm: this.lastAlarm,
+      calibration: this.getCalibrationStatus()
+    };
+  }
+
+  /* ---- (de)serialisation -------------------------------- */
+  toJSON() {
+    return {
+      p: this.p,
+      windowSize: this.windowSize,
+      minSamples: this.minSamples,
+      seen: this.seen,
+      window: this.window.toArray().map(x => Array.from(x)),
+      ucl: Number.isFinite(this.ucl) ? this.ucl : null,  // JSON has no Infinity
+      chart: this.chart,
+      lambda: this.lambda,
+      k: this.k,
+      arl0: this.arl0,
+      h: this.h,
+      pcaVariance: this.pcaVariance,
+      components: this.components,
+      chartState: Array.from(this.chartState),
+      chartSteps: this.chartSteps,
+      variables: this.variables,
+      lastAlarm: this.lastAlarm,
+      calibrationSize: this.calibrationSize,
+      calibration: this.calibration && {
+        target: this.calibration.target,
+        startedAt: this.calibration.startedAt,
+        samples: this.calibration.samples.map(x => Array.from(x))
+      },
+      baseline: this.baseline,
+      lastCalibrationFailure: this.lastCalibrationFailure
+    };
+  }
+
+  static fromJSON(data, opts = {}) {
+    const mspc = new MSPC(data.p, {
+      windowSize: data.windowSize,
+      minSamples: data.minSamples,
+      chart: data.chart,
+      lambda: data.lambda,
+      k: data.k,
+      arl0: data.arl0,
+      limit: data.h ?? undefined,
+      variables: data.variables,
+      pcaVariance: data.pcaVariance,
+      components: data.components ?? undefined,
+      calibrationSize: data.calibrationSize,
+      ...opts
+    });
+    mspc.lastAlarm = data.lastAlarm ?? null;
+    if (data.chartState?.length === mspc.p && data.chart === mspc.chart) {
+      mspc.chartState = Float64Array.from(data.chartState);
+      mspc.chartSteps = data.chartSteps ?? 0;
+    }
+    // older checkpoints kept only cumulative moments, which cannot be
+    // slid; their baseline is rebuilt from the next windowSize obs
+    if (Array.isArray(data.window)) {
+      for (const x of data.window.slice(-mspc.windowSize)) mspc.window.push(Float64Array.from(x));
+      mspc.seen = data.seen ?? mspc.window.length;
+      mspc.rebuildFromWindow();
+      mspc.updateUCL();
+      // a frozen baseline is exactly the restored window; one frozen
+      // before baselines were checked for constant variables is dropped
+      mspc.baseline = data.baseline && mspc.n >= mspc.minSamples
+        && !mspc.constantVariables(mspc.window.toArray()).length ? data.baseline : null;
+    }
+    mspc.lastCalibrationFailure = data.lastCalibrationFailure ?? null;
+    if (data.calibration) {
+      mspc.calibration = {
+        ...data.calibration,
+        samples: data.calibration.samples.map(x => Float64Array.from(x))
+      };
+    }
+    return mspc;
   }
 }
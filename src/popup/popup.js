@@ -3,9 +3,20 @@
  * Handles UI interactions and communication with service worker
  */
 
+// Readable names for MSPC alarm drivers (MSPC_VARIABLES in models/mspc.js)
+const MSPC_VARIABLE_LABELS = {
+    scrolls: 'scroll rate',
+    clicks: 'clicks',
+    keystrokes: 'typing',
+    mouseMoves: 'mouse movement',
+    interactionFrequency: 'interaction frequency',
+    timeSinceLast: 'time since last activity'
+};
+
 class PopupManager {
     constructor() {
         this.isTracking = false;
+        this.isRecording = false;
         this.currentData = null;
         this.updateInterval = null;
         
@@ -17,6 +28,8 @@ class PopupManager {
         chrome.runtime.onMessage.addListener((message) => {
             if (message.type === 'PREDICTION_UPDATE' && message.data && message.data.prediction) {
                 this.updatePredictionUI(message.data);
+            } else if (message.type === 'DRIFT_DETECTED' && message.data && this.lastDrift) {
+                this.lastDrift.textContent = this.formatTimestamp(message.data.lastTs);
             }
         });
     }
@@ -59,6 +72,15 @@ class PopupManager {
         this.downloadTabBtn = el('downloadTabBtn');
         this.downloadMetricsBtn = el('downloadMetricsBtn');
         
+        // Recording buttons
+        this.recordToggleBtn = el('recordToggleBtn');
+        this.recordToggleText = el('recordToggleText');
+        this.downloadRecordingBtn = el('downloadRecordingBtn');
+        
+        // MSPC baseline
+        this.baselineStatus = el('baselineStatus');
+        this.recalibrateBtn = el('recalibrateBtn');
+        
         // System buttons
         this.resetSystemBtn = el('resetSystemBtn');
         this.deleteDataBtn = el('deleteDataBtn');
@@ -82,6 +104,13 @@ class PopupManager {
         this.downloadTabBtn.addEventListener('click', () => this.downloadData('tab'));
         this.downloadMetricsBtn.addEventListener('click', () => this.downloadData('metrics'));
         
+        // Recording buttons
+        this.recordToggleBtn.addEventListener('click', () => this.toggleRecording());
+        this.downloadRecordingBtn.addEventListener('click', () => this.downloadRecording());
+        
+        // MSPC baseline
+        this.recalibrateBtn.addEventListener('click', () => this.recalibrateBaseline());
+        
         // System buttons
         this.resetSystemBtn.addEventListener('click', () => this.resetSystem());
         this.deleteDataBtn.addEventListener('click', () => this.deleteAllData());
@@ -134,7 +163,10 @@ class PopupManager {
             
             if (response && response.state) {
                 this.isTracking = response.state.isTracking;
+                this.isRecording = !!response.state.isRecording;
                 this.updateTrackingUI();
+                this.updateRecordingUI();
+                this.updateBaselineUI(response.mspcCalibration);
             }
         } catch (error) {
             console.error('Error getting system status:', error);
@@ -172,23 +204,29 @@ class PopupManager {
 
     updatePredictionUI(data) {
         try {
-            // data.prediction is {vote, confidence, mspcVote, hatOriginal, hatVoteRemapped}
+            // data.prediction is {vote, confidence, probabilities, scoring, mspcVote, hatOriginal, hatVoteRemapped}
             const pred = data.prediction;
             if (!pred) return;
 
             // 1) Main (ensemble) prediction
             this.updateMainPrediction(pred);
 
-            // 2) MSPC prediction
+            // 2) MSPC prediction, with the variable that drove an alarm
             if (this.mspcPrediction) {
                 const cls = pred.mspcVote === 2 ? 'mspc-alert">Over UCL' : 'mspc-normal">Under UCL';
-                this.mspcPrediction.innerHTML = `<span class="${cls}</span>`;
+                const driver = pred.mspcVote === 2 && MSPC_VARIABLE_LABELS[pred.mspcAlarm?.top];
+                const detail = driver
+                    ? `<div class="mspc-driver">triggered mainly by ${driver}</div>`
+                    : '';
+                this.mspcPrediction.innerHTML = `<span class="${cls}</span>${detail}`;
             }
 
             // 3) HAT prediction
             if (this.hatPrediction) {
                 const hatClasses = ['status-productive">Productive', 'status-non-productive">Non-Productive', 'status-overuse">Overuse'];
-                const idx = pred.hatVoteRemapped || pred.hatOriginal;
+                const idx = pred.scoring === 'multiclass'
+                    ? pred.hatOriginal
+                    : (pred.hatVoteRemapped || pred.hatOriginal);
                 const cls = hatClasses[idx] || hatClasses[0];
                 this.hatPrediction.innerHTML = `<span class="${cls}</span>`;
             }
@@ -202,7 +240,14 @@ class PopupManager {
         const txt = this.mainPrediction.querySelector('.prediction-text');
         if (!txt) return;
 
-        if (prediction.vote === 1) {
+        if (prediction.scoring === 'multiclass' && prediction.vote !== 2) {
+            const [label, cls] = prediction.vote === 0
+                ? ['Productive', 'status-productive']
+                : ['Non-Productive', 'status-non-productive'];
+            txt.textContent = label;
+            txt.className = `prediction-text ${cls}`;
+            this.predictionIcon.className = 'prediction-icon status-normal';
+        } else if (prediction.vote === 1) {
             txt.textContent = 'Normal Use';
             txt.className = 'prediction-text status-normal';
             this.predictionIcon.className = 'prediction-icon status-normal';
@@ -218,15 +263,9 @@ class PopupManager {
 
     updateMetricsUI(data) {
         try {
-            // Update concept drift time
-            if (data.metrics && data.metrics.adwinDistribution) {
-                const driftEvents = data.metrics.adwinDistribution.shrinkageEvents;
-                if (driftEvents && driftEvents.length > 0) {
-                    const lastDrift = driftEvents[driftEvents.length - 1];
-                    this.lastDrift.textContent = this.formatTimestamp(lastDrift.timestamp);
-                } else {
-                    this.lastDrift.textContent = 'Never';
-                }
+            // Update concept drift time (latest drift journal entry)
+            if (data.lastDrift) {
+                this.lastDrift.textContent = this.formatTimestamp(data.lastDrift.lastTs);
             } else {
                 this.lastDrift.textContent = 'Never';
             }
@@ -333,6 +372,97 @@ class PopupManager {
         }
     }
 
+    updateRecordingUI() {
+        this.recordToggleText.textContent = this.isRecording ? 'Stop Recording' : 'Start Recording';
+    }
+
+    async toggleRecording() {
+        this.showLoading(true);
+        
+        try {
+            const message = this.isRecording ? 
+                { type: 'STOP_RECORDING' } : 
+                { type: 'START_RECORDING' };
+            
+            const response = await this.sendMessage(message);
+            
+            if (response && response.success) {
+                this.isRecording = !this.isRecording;
+                this.updateRecordingUI();
+                
+                const action = this.isRecording ? 'started' : 'stopped';
+                this.showToast('✅', `Recording ${action}`);
+            } else {
+                this.showToast('⚠️', 'Failed to toggle recording');
+            }
+        } catch (error) {
+            console.error('Error toggling recording:', error);
+            this.showToast('⚠️', 'Failed to toggle recording');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    updateBaselineUI(status) {
+        if (!this.baselineStatus || !status) return;
+        if (status.phase === 'I') {
+            this.baselineStatus.textContent = `Calibrating: ${status.collected} / ${status.target} reports`;
+        } else if (status.baseline) {
+            const { calibratedAt, removed, collected } = status.baseline;
+            const date = new Date(calibratedAt).toLocaleDateString();
+            this.baselineStatus.textContent = `Calibrated ${date} · ${removed} of ${collected} reports dropped as outliers`;
+        } else {
+            this.baselineStatus.textContent = 'Not calibrated (moving window)';
+        }
+        if (status.phase !== 'I' && status.lastFailure) {
+            this.baselineStatus.textContent += ` · last calibration failed: ${status.lastFailure.reason}`;
+        }
+    }
+
+    async recalibrateBaseline() {
+        this.showLoading(true);
+        
+        try {
+            const response = await this.sendMessage({ type: 'RECALIBRATE_MSPC' });
+            
+            if (response && response.success) {
+                this.updateBaselineUI(response.calibration);
+                this.showToast('📏', 'Recalibrating from your next reports');
+            } else {
+                this.showToast('⚠️', 'Failed to start recalibration');
+            }
+        } catch (error) {
+            console.error('Error starting recalibration:', error);
+            this.showToast('⚠️', 'Failed to start recalibration');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async downloadRecording() {
+        this.showLoading(true);
+        
+        try {
+            const response = await this.sendMessage({ type: 'EXPORT_RECORDING' });
+            
+            if (response && !response.error) {
+                if (response.count === 0) {
+                    this.showToast('ℹ️', 'Nothing recorded yet');
+                    return;
+                }
+                this.downloadFile(response.jsonl, 'telemetry_recording.jsonl', 'application/x-ndjson');
+                this.showToast('💾', `${response.count} messages downloaded`);
+            } else {
+                this.showToast('⚠️', 'Failed to download recording');
+            }
+        } catch (error) {
+            console.error('Error downloading recording:', error);
+            this.showToast('⚠️', 'Failed to download recording');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
     async triggerFeedback() {
         try {
             // This triggers the feedback notification system
@@ -396,8 +526,11 @@ class PopupManager {
     }
 
     downloadJSON(data, filename) {
-        const jsonStr = JSON.stringify(data, null, 2);
-        const blob = new Blob([jsonStr], { type: 'application/json' });
+        this.downloadFile(JSON.stringify(data, null, 2), filename, 'application/json');
+    }
+
+    downloadFile(text, filename, mimeType) {
+        const blob = new Blob([text], { type: mimeType });
         const url = URL.createObjectURL(blob);
         
         const a = document.createElement('a');
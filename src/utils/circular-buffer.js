@@ -34,3 +34,9 @@ class CircularBuffer {
         return result;
     }
 }
+
+// Export for Node.js / CommonJS (content scripts use the global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CircularBuffer;
+    module.exports.CircularBuffer = CircularBuffer;
+}
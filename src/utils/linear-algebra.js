@@ -33,3 +33,117 @@ export function solveCholesky(L, b) {
   }
   return y;
 }
+
+/* ---- rank-one modifications of a Cholesky factor --------
+   L is lower-triangular (row-major) with L Lᵀ = A. Both return
+   a new factor of A ± x xᵀ in O(p²) instead of refactoring
+   A from scratch in O(p³); the inputs are left untouched.
+---------------------------------------------------------- */
+
+/** Factor of A + x xᵀ */
+export function cholRankUpdate(L, x, p) {
+  const R = new Float64Array(L);
+  const w = new Float64Array(x);
+  for (let k=0;k<p;++k) {
+    const lkk = R[k*p+k];
+    const r = Math.hypot(lkk, w[k]);
+    const c = r / lkk;
+    const s = w[k] / lkk;
+    R[k*p+k] = r;
+    for (let i=k+1;i<p;++i) {
+      R[i*p+k] = (R[i*p+k] + s*w[i]) / c;
+      w[i] = c*w[i] - s*R[i*p+k];
+    }
+  }
+  return R;
+}
+
+/**
+ * Factor of A − x xᵀ, or null when the result would not be
+ * positive definite (caller should refactor from A).
+ */
+export function cholDowndate(L, x, p) {
+  const R = new Float64Array(L);
+  const w = new Float64Array(x);
+  for (let k=0;k<p;++k) {
+    const lkk = R[k*p+k];
+    const r2 = (lkk - w[k]) * (lkk + w[k]);
+    if (!(r2 > 1e-12 * lkk * lkk)) return null;
+    const r = Math.sqrt(r2);
+    const c = r / lkk;
+    const s = w[k] / lkk;
+    R[k*p+k] = r;
+    for (let i=k+1;i<p;++i) {
+      R[i*p+k] = (R[i*p+k] - s*w[i]) / c;
+      w[i] = c*w[i] - s*R[i*p+k];
+    }
+  }
+  return R;
+}
+
+/** Forward substitution only: y with L y = b, so ‖y‖² = bᵀA⁻¹b */
+export function solveLower(L, b) {
+  const p = b.length;
+  const y = new Float64Array(b);
+  for (let i=0;i<p;++i) {
+    let sum = y[i];
+    for (let k=0;k<i;++k) sum -= L[i*p+k]*y[k];
+    y[i] = sum / L[i*p+i];
+  }
+  return y;
+}
+
+/**
+ * Eigen-decomposition of a symmetric p×p matrix (cyclic Jacobi).
+ * @returns {{values: Float64Array, vectors: Float64Array}} values in
+ *          descending order; column k of `vectors` (row-major) is the
+ *          unit eigenvector for values[k]
+ */
+export function symmetricEigen(A, p, maxSweeps = 50) {
+  const a = new Float64Array(A);
+  const v = new Float64Array(p*p);
+  for (let i=0;i<p;++i) v[i*p+i] = 1;
+  let norm = 0;
+  for (let i=0;i<p*p;++i) norm += a[i]*a[i];
+
+  for (let sweep=0;sweep<maxSweeps;++sweep) {
+    let off = 0;
+    for (let i=0;i<p;++i) for (let j=i+1;j<p;++j) off += a[i*p+j]**2;
+    if (off <= 1e-26*norm) break;
+    for (let i=0;i<p;++i) {
+      for (let j=i+1;j<p;++j) {
+        const aij = a[i*p+j];
+        if (aij === 0) continue;
+        // rotation angle that zeroes a[i][j]
+        const theta = (a[j*p+j] - a[i*p+i]) / (2*aij);
+        const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta*theta + 1));
+        const c = 1 / Math.sqrt(t*t + 1);
+        const s = t*c;
+        for (let k=0;k<p;++k) {            // columns i, j
+          const aki = a[k*p+i], akj = a[k*p+j];
+          a[k*p+i] = c*aki - s*akj;
+          a[k*p+j] = s*aki + c*akj;
+        }
+        for (let k=0;k<p;++k) {            // rows i, j
+          const aik = a[i*p+k], ajk = a[j*p+k];
+          a[i*p+k] = c*aik - s*ajk;
+          a[j*p+k] = s*aik + c*ajk;
+        }
+        for (let k=0;k<p;++k) {            // accumulate eigenvectors
+          const vki = v[k*p+i], vkj = v[k*p+j];
+          v[k*p+i] = c*vki - s*vkj;
+          v[k*p+j] = s*vki + c*vkj;
+        }
+      }
+    }
+  }
+
+  const order = Array.from({ length: p }, (_, i) => i).sort((x, y) => a[y*p+y] - a[x*p+x]);
+  const values = new Float64Array(p);
+  const vectors = new Float64Array(p*p);
+  order.forEach((src, k) => {
+    values[k] = a[src*p+src];
+    for (let i=0;i<p;++i) vectors[i*p+k] = v[i*p+src];
+  });
+  return { values, vectors };
+}
@@ -13,4 +13,13 @@ export class OnlineScaler {
     this.update(x);
     return (x - this.mean) / Math.sqrt(this.var + 1e-6);
   }
+  toJSON() {
+    return { alpha: this.alpha, mean: this.mean, var: this.var };
+  }
+  static fromJSON(data) {
+    const scaler = new OnlineScaler(data.alpha);
+    scaler.mean = data.mean;
+    scaler.var = data.var;
+    return scaler;
+  }
 }
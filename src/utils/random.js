@@ -0,0 +1,19 @@
+/**
+ * Seeded pseudo-random numbers for reproducible runs.
+ *
+ * mulberry32: 32-bit state, fast, good enough for simulation and ids –
+ * not for anything security related.
+ *
+ * @param {number} seed  any number; only the low 32 bits are used
+ * @returns {function():number} drop-in for Math.random, values in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
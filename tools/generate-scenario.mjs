@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+/* ===========================================================================
+   generate-scenario.mjs
+   ---------------------------------------------------------------------------
+   Seedable synthetic browsing telemetry for tuning the detectors offline.
+   Emits the same messages the content script sends (BATCH_STATS every 30 s,
+   VISIBILITY_CHANGE when a tab is hidden or shown, FINAL_STATS when a tab
+   closes) plus USER_FEEDBACK events, one JSON object per line, ready for
+   tools/replay.mjs.
+
+   USAGE
+     node tools/generate-scenario.mjs [--scenario mixed] [--seed 1]
+          [--minutes 480] [--start 1700000000000]
+          [--feedback-rate 0.1] [--label-noise 0]
+
+   SCENARIOS
+     coding, doom-scrolling, video-bingeing, idle-tab  – one archetype
+     work-to-leisure                                   – gradual drift from
+                                                        coding to scrolling
+     mixed                                             – random tab sessions
+                                                        of every archetype
+
+   Every BATCH_STATS / FINAL_STATS line carries the generating `label`
+   (0 productive, 1 non-productive, 2 overuse) and `archetype`; the replay
+   ignores both, only USER_FEEDBACK reaches the models.
+   ==========================================================================*/
+
+import { pathToFileURL } from 'node:url';
+
+import { createSeededRandom } from '../src/utils/random.js';
+
+const REPORT_PERIOD_MS = 30_000;   // must match content-script
+const DEFAULT_START = 1_700_000_000_000;
+
+/**
+ * Per-30 s behaviour of each archetype.
+ *   rates      mean event counts per report (Poisson)
+ *   pVisible   chance the tab is visible in a report
+ *   pActive    chance of any interaction in a visible report
+ */
+const ARCHETYPES = {
+  'coding': {
+    label: 0,
+    domains: ['github.com', 'stackoverflow.com', 'developer.mozilla.org', 'localhost'],
+    rates: { scrolls: 8, clicks: 6, keystrokes: 110, mouseMoves: 120 },
+    pVisible: 0.95,
+    pActive: 0.9,
+    sessionMinutes: [20, 90]
+  },
+  'doom-scrolling': {
+    label: 2,
+    domains: ['reddit.com', 'x.com', 'instagram.com', 'tiktok.com'],
+    rates: { scrolls: 70, clicks: 3, keystrokes: 1, mouseMoves: 35 },
+    pVisible: 1,
+    pActive: 0.98,
+    sessionMinutes: [15, 120]
+  },
+  'video-bingeing': {
+    label: 2,
+    domains: ['youtube.com', 'netflix.com', 'twitch.tv'],
+    rates: { scrolls: 1, clicks: 0.3, keystrokes: 0.2, mouseMoves: 4 },
+    pVisible: 1,
+    pActive: 0.15,
+    sessionMinutes: [40, 180]
+  },
+  'idle-tab': {
+    label: 1,
+    domains: ['mail.google.com', 'calendar.google.com', 'news.ycombinator.com'],
+    rates: { scrolls: 0.5, clicks: 0.2, keystrokes: 0.1, mouseMoves: 2 },
+    pVisible: 0.1,
+    pActive: 0.05,
+    sessionMinutes: [10, 240]
+  }
+};
+
+/** Relative frequency of archetypes in the 'mixed' scenario */
+const MIXED_WEIGHTS = { 'coding': 4, 'doom-scrolling': 2, 'video-bingeing': 2, 'idle-tab': 2 };
+
+/* --------------------------- seeded randomness ------------------------ */
+/** Distribution helpers over the shared mulberry32 stream */
+function createRng(seed) {
+  const next = createSeededRandom(seed);
+  return {
+    next,
+    uniform: (lo, hi) => lo + (hi - lo) * next(),
+    int: (lo, hi) => lo + Math.floor(next() * (hi - lo + 1)),
+    pick: arr => arr[Math.floor(next() * arr.length)],
+    normal() {
+      const u = 1 - next();
+      return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * next());
+    },
+    poisson(lambda) {
+      if (lambda <= 0) return 0;
+      if (lambda > 30) return Math.max(0, Math.round(lambda + Math.sqrt(lambda) * this.normal()));
+      const L = Math.exp(-lambda);
+      let k = 0;
+      let p = 1;
+      do { k++; p *= next(); } while (p > L);
+      return k - 1;
+    }
+  };
+}
+
+/* --------------------------- tab simulation --------------------------- */
+function blendRates(a, b, mix) {
+  const out = {};
+  for (const k of Object.keys(a.rates)) out[k] = (1 - mix) * a.rates[k] + mix * b.rates[k];
+  return {
+    rates: out,
+    pVisible: (1 - mix) * a.pVisible + mix * b.pVisible,
+    pActive: (1 - mix) * a.pActive + mix * b.pActive
+  };
+}
+
+/**
+ * One tab from open to close. `behaviourAt(i, n)` returns the archetype
+ * parameters and label for report i of n (constant unless drifting).
+ */
+function* simulateTab(rng, { tabID, domain, start, reports, behaviourAt, feedbackRate, labelNoise }) {
+  let lastActivityTs = start;
+  let counts = null;
+  let ts = start;
+  let wasVisible = true;   // tabs open in the foreground
+
+  for (let i = 0; i < reports; i++) {
+    ts = start + (i + 1) * REPORT_PERIOD_MS;
+    const b = behaviourAt(i, reports);
+    const isVisible = rng.next() < b.pVisible;
+    if (isVisible !== wasVisible) {
+      // between the previous report's feedback (≤ 10 s after it) and this report
+      const changeTs = ts - rng.int(1_000, 19_999);
+      yield {
+        type: 'VISIBILITY_CHANGE',
+        ts: changeTs,
+        tabID,
+        visibilityState: isVisible ? 'visible' : 'hidden'
+      };
+      wasVisible = isVisible;
+    }
+    const active = isVisible && rng.next() < b.pActive;
+    // jitter rates so reports of one archetype are not identical
+    const scale = active ? Math.max(0.2, 1 + 0.25 * rng.normal()) : 0;
+    counts = {
+      scrolls: rng.poisson(b.rates.scrolls * scale),
+      clicks: rng.poisson(b.rates.clicks * scale),
+      keystrokes: rng.poisson(b.rates.keystrokes * scale),
+      mouseMoves: rng.poisson(b.rates.mouseMoves * scale)
+    };
+    const interactions = counts.scrolls + counts.clicks + counts.keystrokes + counts.mouseMoves;
+    if (interactions > 0) lastActivityTs = ts - rng.int(0, REPORT_PERIOD_MS / 2);
+
+    const timeOnPageMs = ts - start;
+    const data = {
+      tabID,
+      url: `https://${domain}/`,
+      domain,
+      ts,
+      isVisible,
+      timeOnPageMs,
+      timeSinceLastMs: ts - lastActivityTs,
+      interactionCounts: counts,
+      // as in the content script: this report's events over time on page
+      interactionFrequency: interactions / (timeOnPageMs / 1000),
+      activityBatch: []
+    };
+    yield {
+      type: 'BATCH_STATS',
+      ts,
+      data,
+      mspcVector: mspcVectorFor(data),
+      label: b.label,
+      archetype: b.name
+    };
+
+    if (rng.next() < feedbackRate) {
+      const label = rng.next() < labelNoise ? rng.int(0, 2) : b.label;
+      yield {
+        type: 'USER_FEEDBACK',
+        ts: ts + rng.int(1_000, 10_000),
+        data: { tabId: tabID, classValue: label, confidence: 1.0 }
+      };
+    }
+  }
+
+  const b = behaviourAt(reports - 1, reports);
+  const closeTs = ts + rng.int(10_001, REPORT_PERIOD_MS - 1);
+  const mins = Math.max((closeTs - start) / 60_000, 1);
+  const data = {
+    tabID,
+    url: `https://${domain}/`,
+    domain,
+    ts: closeTs,
+    timeOnPageMs: closeTs - start,
+    timeSinceLastMs: closeTs - lastActivityTs,
+    interactionCounts: { scrolls: 0, clicks: 0, keystrokes: 0, mouseMoves: 0 },
+    isVisible: false,
+    activityScore: Math.round(((counts?.scrolls ?? 0) + (counts?.clicks ?? 0) + (counts?.keystrokes ?? 0)) / mins * 10) / 10,
+    browserMetrics: { perf: {}, interaction: {}, engagement: [] }
+  };
+  yield {
+    type: 'FINAL_STATS',
+    ts: closeTs,
+    data,
+    mspcVector: mspcVectorFor(data),
+    isFinal: true,
+    label: b.label,
+    archetype: b.name
+  };
+}
+
+/** Same layout as the content script's 6-vector (keystrokes = keydown + keyup) */
+function mspcVectorFor(data) {
+  const c = data.interactionCounts;
+  return [
+    c.scrolls,
+    c.clicks,
+    c.keystrokes * 2,
+    c.mouseMoves,
+    data.interactionFrequency || 0,
+    data.timeSinceLastMs
+  ];
+}
+
+function constantBehaviour(name) {
+  const a = ARCHETYPES[name];
+  return () => ({ ...a, name });
+}
+
+/** Work → leisure: rates slide from coding to doom-scrolling over the session */
+function driftBehaviour() {
+  const from = ARCHETYPES['coding'];
+  const to = ARCHETYPES['doom-scrolling'];
+  return (i, n) => {
+    const mix = n > 1 ? i / (n - 1) : 1;
+    return {
+      ...blendRates(from, to, mix),
+      label: mix < 1 / 3 ? 0 : mix < 2 / 3 ? 1 : 2,
+      name: 'work-to-leisure'
+    };
+  };
+}
+
+function pickWeighted(rng, weights) {
+  const entries = Object.entries(weights);
+  let r = rng.next() * entries.reduce((s, [, w]) => s + w, 0);
+  for (const [name, w] of entries) {
+    r -= w;
+    if (r <= 0) return name;
+  }
+  return entries[entries.length - 1][0];
+}
+
+/* --------------------------- public API ------------------------------- */
+export const SCENARIOS = [...Object.keys(ARCHETYPES), 'work-to-leisure', 'mixed'];
+
+/**
+ * Generate a scenario as a stream of replayable records, in time order
+ * within each tab. Tabs run back to back, so the whole stream is ordered.
+ * @param {object} [opts]
+ * @param {string} [opts.scenario='mixed']
+ * @param {number} [opts.seed=1]
+ * @param {number} [opts.minutes=480]      total simulated browsing time
+ * @param {number} [opts.start]            epoch ms of the first report
+ * @param {number} [opts.feedbackRate=0.1] chance of a label after each report
+ * @param {number} [opts.labelNoise=0]     chance a label is replaced at random
+ */
+export function* generateScenario(opts = {}) {
+  const scenario = opts.scenario ?? 'mixed';
+  if (!SCENARIOS.includes(scenario)) {
+    throw new Error(`scenario must be one of ${SCENARIOS.join(', ')}`);
+  }
+  const rng = createRng(opts.seed ?? 1);
+  const end = (opts.start ?? DEFAULT_START) + (opts.minutes ?? 480) * 60_000;
+  const feedbackRate = opts.feedbackRate ?? 0.1;
+  const labelNoise = opts.labelNoise ?? 0;
+
+  let start = opts.start ?? DEFAULT_START;
+  let tab = 0;
+  while (start < end) {
+    let name = scenario;
+    let behaviourAt;
+    let minutes;
+    if (scenario === 'work-to-leisure') {
+      behaviourAt = driftBehaviour();
+      minutes = (end - start) / 60_000;
+    } else {
+      if (scenario === 'mixed') name = pickWeighted(rng, MIXED_WEIGHTS);
+      behaviourAt = constantBehaviour(name);
+      minutes = rng.uniform(...ARCHETYPES[name].sessionMinutes);
+    }
+    const reports = Math.max(1, Math.min(
+      Math.round((minutes * 60_000) / REPORT_PERIOD_MS),
+      Math.ceil((end - start) / REPORT_PERIOD_MS)
+    ));
+    const domain = scenario === 'work-to-leisure'
+      ? 'github.com'
+      : rng.pick(ARCHETYPES[name].domains);
+
+    let lastTs = start;
+    for (const record of simulateTab(rng, {
+      tabID: `sim-${++tab}`,
+      domain,
+      start,
+      reports,
+      behaviourAt,
+      feedbackRate,
+      labelNoise
+    })) {
+      lastTs = Math.max(lastTs, record.ts);
+      yield record;
+    }
+    start = lastTs + rng.int(5_000, 120_000);   // pause before the next tab
+  }
+}
+
+/* --------------------------- CLI -------------------------------------- */
+function parseArgs(argv) {
+  const opts = {};
+  const numeric = { '--seed': 'seed', '--minutes': 'minutes', '--start': 'start',
+    '--feedback-rate': 'feedbackRate', '--label-noise': 'labelNoise' };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--scenario') opts.scenario = argv[++i];
+    else if (numeric[a]) opts[numeric[a]] = Number(argv[++i]);
+    else if (a === '-h' || a === '--help') opts.help = true;
+    else throw new Error(`Unexpected argument: ${a}`);
+  }
+  return opts;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] ?? '').href) {
+  try {
+    const opts = parseArgs(process.argv.slice(2));
+    if (opts.help) {
+      console.error(`Usage: node tools/generate-scenario.mjs [--scenario ${SCENARIOS.join('|')}] ` +
+        '[--seed n] [--minutes n] [--start ms] [--feedback-rate p] [--label-noise p]');
+      process.exit(0);
+    }
+    for (const record of generateScenario(opts)) {
+      process.stdout.write(JSON.stringify(record) + '\n');
+    }
+  } catch (error) {
+    console.error('Scenario generation failed:', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+/* ===========================================================================
+   replay.mjs
+   ---------------------------------------------------------------------------
+   Offline replay of recorded telemetry through the same pipeline the service
+   worker runs: FeatureEngineer → MSPC + HoeffdingTree → WeightedVoter, with
+   MetricsCollector scoring every feedback label test-then-train.
+
+   USAGE
+     node tools/replay.mjs <recording.jsonl> [--out steps.jsonl] [--config cfg.json]
+          [--seed 1]
+
+   INPUT  one JSON object per line, in recording order
+     { "type": "BATCH_STATS" | "FINAL_STATS", "ts": 1700000000000,
+       "data": { tabID, domain, interactionCounts, … }, "mspcVector": [6 numbers] }
+     { "type": "USER_FEEDBACK", "ts": …,
+       "data": { "tabId": "…", "classValue": 0-2 | "productive" | … } }
+   `ts` (or data.ts) drives a simulated clock, so session durations, ADWIN
+   timestamps etc. follow the recording rather than the wall clock. The clock
+   and a PRNG seeded with --seed are injected into every model, so the same
+   recording, config and seed always give byte-identical output.
+
+   OUTPUT one JSON line per prediction / feedback step, then a final
+     { "type": "SUMMARY", … } line with prequential, confusion-matrix and
+   calibration metrics, the drift journal, the input (covariate) drift
+   signals per test and the feedback requests the query policy would have
+   made (the recorded feedback is replayed regardless). MSPC alarms and
+   failed calibrations are counted there (mspcMessages); other model
+   logging goes to stderr.
+
+   CONFIG (optional) { "tree": {HoeffdingTree opts}, "voter": {WeightedVoter
+   opts}, "mspc": {MSPC opts, e.g. "chart": "mcusum"}, "queryPolicy":
+   {QueryPolicy opts}, "mspcDims": 6, "phaseOne": false } – lets two model
+   variants run on the same week. Like a fresh install, MSPC first
+   calibrates a Phase I baseline from the opening reports; "phaseOne": false
+   keeps the plain moving window instead.
+   ==========================================================================*/
+
+import fs from 'node:fs';
+import readline from 'node:readline';
+
+import FeatureEngineer, { FEATURE_COUNT, FEATURE_LAYOUT } from '../src/analysis/feature-engineer.js';
+import WeightedVoter from '../src/analysis/weighted-voting.js';
+import HoeffdingTree from '../src/models/hoeffding-tree.js';
+import { MSPC } from '../src/models/mspc.js';
+import MetricsCollector from '../src/analysis/metrics.js';
+import DriftJournal from '../src/analysis/drift-journal.js';
+import QueryPolicy from '../src/analysis/query-policy.js';
+import { createSeededRandom } from '../src/utils/random.js';
+
+const CLASS_LABELS = ['productive', 'non-productive', 'overuse'];
+const MSPC_DIMS = 6;
+const MSPC_OPTIONS = { chart: 'mewma', lambda: 0.1 };   // as in the service worker
+
+/* --------------------------- arguments -------------------------------- */
+function parseArgs(argv) {
+  const args = { input: null, out: null, config: null, seed: 1 };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--out') args.out = argv[++i];
+    else if (a === '--config') args.config = argv[++i];
+    else if (a === '--seed') args.seed = Number(argv[++i]);
+    else if (a === '-h' || a === '--help') args.help = true;
+    else if (!args.input) args.input = a;
+    else throw new Error(`Unexpected argument: ${a}`);
+  }
+  return args;
+}
+
+/* --------------------------- simulated clock -------------------------- */
+/**
+ * Clock that follows the recording; its now() is handed to the models in
+ * place of Date.now. Time never moves backwards, so out-of-order records
+ * keep the previous time. Before the first timestamp it reads 0.
+ */
+function createSimulatedClock() {
+  let current = null;
+  return {
+    now: () => current ?? 0,
+    advance(ts) {
+      if (Number.isFinite(ts) && (current === null || ts > current)) current = ts;
+    }
+  };
+}
+
+/* --------------------------- pipeline --------------------------------- */
+/**
+ * Same component wiring as initializeSystem() in the service worker.
+ * @param {object} config
+ * @param {{now:function():number, random:function():number}} deps
+ */
+function buildPipeline(config, deps) {
+  const tree = new HoeffdingTree({
+    nFeatures: FEATURE_COUNT,
+    nClasses: 3,
+    classLabels: CLASS_LABELS,
+    ...config.tree,
+    ...deps
+  });
+  // MSPC messages are counted for the summary instead of flooding stderr
+  const mspcMessages = {};
+  const logger = (message) => { mspcMessages[message] = (mspcMessages[message] ?? 0) + 1; };
+  const mspc = new MSPC(config.mspcDims ?? MSPC_DIMS, { ...MSPC_OPTIONS, ...config.mspc, ...deps, logger });
+  if (config.phaseOne !== false) mspc.startCalibration();
+  return {
+    now: deps.now,
+    featureEngineer: new FeatureEngineer({ ...deps, mspcLogger: () => {} }),
+    weightedVoter: new WeightedVoter({
+      tree,
+      mspc,
+      scoring: 'multiclass',
+      weighting: 'hedge',
+      ...config.voter,
+      now: deps.now
+    }),
+    metricsCollector: new MetricsCollector({ now: deps.now }),
+    driftJournal: new DriftJournal({ featureNames: FEATURE_LAYOUT }),
+    covariateSignals: { adwin: 0, ks: 0 },
+    queryPolicy: new QueryPolicy({ ...config.queryPolicy, now: deps.now }),
+    lastVoteContexts: new Map(),
+    mspcMessages
+  };
+}
+
+function classIndex(classValue) {
+  return typeof classValue === 'number' ? classValue : CLASS_LABELS.indexOf(classValue);
+}
+
+/**
+ * Apply one recorded message; returns the step line to emit, or null.
+ */
+function replayRecord(pipeline, record, step) {
+  const {
+    now, featureEngineer, weightedVoter, metricsCollector, driftJournal,
+    covariateSignals, queryPolicy, lastVoteContexts
+  } = pipeline;
+
+  switch (record.type) {
+    case 'BATCH_STATS':
+    case 'FINAL_STATS': {
+      featureEngineer.ingest(record);
+      const signals = featureEngineer.covariateDrift.takeSignals();
+      signals.forEach(signal => covariateSignals[signal.source]++);
+      const tabId = String(record.data.tabID);
+      const session = featureEngineer.sessions.get(record.data.tabID);
+      if (!session?.lastVec) return null;
+
+      const mspcVector = record.mspcVector
+        ? Float64Array.from(record.mspcVector)
+        : new Float64Array(MSPC_DIMS);
+      const result = weightedVoter.vote(mspcVector, session.lastVec);
+      lastVoteContexts.set(tabId, { mspcState: result.mspcState, feat: [...session.lastVec] });
+      const query = queryPolicy.consider(result, {
+        tabId,
+        drift: signals[signals.length - 1],
+        labelledCount: weightedVoter.labelledCount
+      });
+
+      return {
+        type: 'PREDICTION',
+        step,
+        ts: now(),
+        tabId,
+        vote: result.vote,
+        confidence: result.confidence,
+        rawConfidence: result.rawConfidence,
+        probabilities: result.probabilities,
+        mspcVote: result.mspcVote,
+        hatPrediction: result.hatOriginal,
+        combinedBy: result.combinedBy,
+        query: query?.reason ?? null
+      };
+    }
+
+    case 'USER_FEEDBACK': {
+      const { tabId, classValue, confidence = 1.0 } = record.data ?? {};
+      const trueClass = classIndex(classValue);
+      if (trueClass < 0 || trueClass >= CLASS_LABELS.length) {
+        console.warn(`Step ${step}: unknown feedback class`, classValue);
+        return null;
+      }
+      featureEngineer.addUserFeedback(tabId, classValue, confidence);
+
+      const context = lastVoteContexts.get(String(tabId));
+      if (!context) {
+        console.warn(`Step ${step}: feedback for tab ${tabId} before any prediction`);
+        return null;
+      }
+      const outcome = weightedVoter.handleFeedback(context.mspcState, context.feat, trueClass);
+      metricsCollector.updateConfusionMatrix(outcome.vote, trueClass, outcome.confidence);
+      metricsCollector.recordCalibration(outcome.confidence, outcome.correct);
+      metricsCollector.updateModelAccuracies(outcome.mspcCorrect, outcome.hatCorrect, outcome.correct);
+      const prequential = metricsCollector.recordPrequential(
+        { mspc: outcome.mspcVote, hat: outcome.hatPrediction, ensemble: outcome.vote },
+        trueClass
+      );
+      weightedVoter.tree.takeDriftEvents().forEach(event => driftJournal.record(event));
+
+      return {
+        type: 'FEEDBACK',
+        step,
+        ts: now(),
+        tabId: String(tabId),
+        trueClass,
+        vote: outcome.vote,
+        correct: outcome.correct,
+        confidence: outcome.confidence,
+        prequential
+      };
+    }
+
+    default:
+      return null;   // visibility changes etc. do not reach the models
+  }
+}
+
+function summarize(pipeline, counts) {
+  const {
+    featureEngineer, weightedVoter, metricsCollector, driftJournal, covariateSignals, queryPolicy,
+    mspcMessages
+  } = pipeline;
+  const tree = weightedVoter.tree;
+  const weights = weightedVoter.getWeightTrajectory();
+  return {
+    type: 'SUMMARY',
+    records: counts,
+    prequential: metricsCollector.prequential.getMetrics(),
+    multiclass: metricsCollector.calculateMulticlassMetrics(),
+    calibration: metricsCollector.calculateCalibrationMetrics(),
+    weights: {
+      rule: weights.rule,
+      wMspc: weightedVoter.wMspc,
+      wHat: weightedVoter.wHat,
+      updates: weights.points.length
+    },
+    tree: {
+      instancesSeen: tree.instancesSeen,
+      splitCount: tree.splitCount,
+      driftCount: tree.driftCount,
+      altTreesSwapped: tree.altTreesSwapped
+    },
+    drifts: driftJournal.getEntries(),
+    covariateDrift: {
+      signals: covariateSignals,
+      lastSignal: featureEngineer.covariateDrift.lastSignal,
+      lastTest: featureEngineer.covariateDrift.lastTest
+    },
+    queries: queryPolicy.getStatus(),
+    mspc: weightedVoter.mspc.getSnapshot(),
+    mspcMessages
+  };
+}
+
+/* --------------------------- main ------------------------------------- */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.input) {
+    console.error('Usage: node tools/replay.mjs <recording.jsonl> [--out steps.jsonl] [--config cfg.json] [--seed 1]');
+    process.exit(args.help ? 0 : 1);
+  }
+  if (!Number.isFinite(args.seed)) throw new Error('--seed must be a number');
+  const config = args.config ? JSON.parse(fs.readFileSync(args.config, 'utf8')) : {};
+  const out = args.out ? fs.createWriteStream(args.out) : process.stdout;
+  const emit = obj => out.write(JSON.stringify(obj) + '\n');
+
+  // keep stdout for results; model logging goes to stderr
+  const realLog = console.log;
+  console.log = console.error;
+  const clock = createSimulatedClock();
+  const deps = { now: clock.now, random: createSeededRandom(args.seed) };
+
+  const counts = { total: 0, skipped: 0, predictions: 0, feedback: 0 };
+  try {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(args.input),
+      crlfDelay: Infinity
+    });
+
+    let pipeline = null;
+    let lineNo = 0;
+    for await (const line of lines) {
+      lineNo++;
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        console.warn(`Line ${lineNo}: invalid JSON (${error.message})`);
+        counts.skipped++;
+        continue;
+      }
+      counts.total++;
+      clock.advance(record.ts ?? record.data?.ts);
+      // build after the first timestamp so session start times are simulated
+      pipeline ??= buildPipeline(config, deps);
+
+      const stepOut = replayRecord(pipeline, record, counts.total);
+      if (!stepOut) continue;
+      if (stepOut.type === 'PREDICTION') counts.predictions++;
+      else counts.feedback++;
+      emit(stepOut);
+    }
+
+    pipeline ??= buildPipeline(config, deps);
+    emit(summarize(pipeline, counts));
+  } finally {
+    console.log = realLog;
+    if (out !== process.stdout) out.end();
+  }
+}
+
+main().catch(error => {
+  console.error('Replay failed:', error);
+  process.exit(1);
+});